@@ -1,8 +1,7 @@
-const { app, BrowserWindow, ipcMain, Menu, Tray } = require('electron');
+const { app, BrowserWindow, ipcMain, Menu, Tray, dialog } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const Store = require('electron-store');
-const axios = require('axios');
 
 // Variável global para armazenar o ID do intervalo de monitoramento
 let intervalId = null;
@@ -47,14 +46,33 @@ const {
   getVendorIdFromCredentials,
   loadProcessedOrdersState,
   saveProcessedOrdersState,
+  resetOrderCheckpoint,
   getWooCommerceOrders,
   getDokanOrders,
+  getOrderStatuses,
+  getStatusParam,
   orderBelongsToVendor,     // Importando a função do api.js
   verifyOrdersBelongToVendor, // Importando a função do api.js
   getAllOrdersAndFilter      // Importando a função do api.js
 } = require('./src/api');
 
-const { getPrinters, printOrder, printTest } = require('./src/printer');
+const { getPrinters, printOrderCopies, previewOrder, printTest } = require('./src/printer');
+const { validateTemplate } = require('./src/receipt');
+const { parseFieldMapping, mapFields } = require('./src/meta');
+const { getDotWidth, loadLogo } = require('./src/logo');
+const { COPY_TYPES, getDefaultCopyTemplate } = require('./src/copies');
+const { parsePrintRules } = require('./src/rules');
+const {
+  enqueueOrder,
+  startQueue,
+  stopQueue,
+  retryJob,
+  discardJob,
+  getQueueJobs,
+  wakeHeldJobs
+} = require('./src/queue');
+const { startHealthMonitor, stopHealthMonitor, getPrinterHealth, isPrinterAvailable } = require('./src/health');
+const { hasApiCredentials, createApiClient } = require('./src/auth');
 const { loadOrderHistory, saveOrderLog, cleanOrderHistory, verifyDailyPassword } = require('./src/utils');
 
 // Configurações do aplicativo
@@ -66,8 +84,9 @@ let isRunning = false;
 // Função para limpar pedidos processados
 function clearProcessedOrdersState() {
   try {
-    // Reinicia o conjunto de pedidos processados
+    // Reinicia o conjunto de pedidos processados e a consulta incremental, para buscar de novo todos os pedidos
     global.processedOrders = new Set();
+    resetOrderCheckpoint();
 
     // Salva o estado vazio
     saveProcessedOrdersState();
@@ -94,11 +113,11 @@ ipcMain.handle('test-api', async (event, config) => {
     };
 
     // SEGURANÇA: Verificar se as configurações básicas estão presentes
-    if (!config || !config.apiUrl || !config.username || !config.password) {
+    if (!hasApiCredentials(config)) {
       logTest('Erro de segurança: Configurações de API incompletas');
       return {
         success: false,
-        message: 'Configurações incompletas. URL, usuário e senha são obrigatórios.',
+        message: 'Configurações incompletas. URL e credenciais da API são obrigatórias.',
         logs: testLogs
       };
     }
@@ -141,7 +160,7 @@ ipcMain.handle('test-api', async (event, config) => {
       logTest('Tentativa 1: API WooCommerce com parâmetro vendor_id');
 
       const params = {
-        status: 'processing',
+        status: getStatusParam(config),
         per_page: 20
       };
 
@@ -234,19 +253,15 @@ ipcMain.handle('test-api', async (event, config) => {
 ipcMain.handle('list-vendors', async () => {
   try {
     const config = store.get('config');
-    if (!config || !config.apiUrl || !config.username || !config.password) {
-      throw new Error('Configurações incompletas. Preencha URL, usuário e senha primeiro.');
+    if (!hasApiCredentials(config)) {
+      throw new Error('Configurações incompletas. Preencha a URL e as credenciais da API primeiro.');
     }
 
     logger.info('Listando vendedores disponíveis...');
 
-    // Cria token de autenticação
-    const token = Buffer.from(`${config.username}:${config.password}`, 'utf8').toString('base64');
-
-    // Busca lista de vendedores
-    const response = await axios.get(`${config.apiUrl}/wp-json/dokan/v1/stores`, {
-      params: { per_page: 100 },
-      headers: { 'Authorization': `Basic ${token}` }
+    // Busca lista de vendedores, autenticando conforme o modo configurado
+    const response = await createApiClient(config).get(`${config.apiUrl}/wp-json/dokan/v1/stores`, {
+      params: { per_page: 100 }
     });
 
     if (response.data && Array.isArray(response.data)) {
@@ -267,6 +282,18 @@ ipcMain.handle('list-vendors', async () => {
   }
 });
 
+// Lista os status de pedido da loja (incluindo os personalizados) para a escolha dos status monitorados
+ipcMain.handle('list-order-statuses', async () => {
+  try {
+    const statuses = await getOrderStatuses(store.get('config'));
+    logger.info(`${statuses.length} status de pedido encontrados`);
+    return { success: true, statuses };
+  } catch (error) {
+    logger.error(`Erro ao listar status de pedido: ${error.message}`);
+    return { success: false, message: error.message };
+  }
+});
+
 function createWindow() {
   mainWindow = new BrowserWindow({
     width: 900,
@@ -284,7 +311,7 @@ function createWindow() {
   // Envia a lista de impressoras para a janela
   mainWindow.webContents.on('did-finish-load', async () => {
     try {
-      const printers = await getPrinters();
+      const printers = await getPrinters(store.get('config') || {});
       mainWindow.webContents.send('printers-list', printers);
 
       // Carrega as configurações salvas
@@ -313,6 +340,12 @@ app.whenReady().then(() => {
     // Cria a janela principal
     createWindow();
 
+    // Retoma os trabalhos pendentes da fila de impressão
+    startQueue(processPrintJob, handlePrintJobUpdate);
+
+    // Verifica periodicamente papel, tampa e conexão das impressoras, se habilitado
+    updateHealthMonitor();
+
     // Tenta criar o ícone na bandeja
     try {
       createTray();
@@ -491,12 +524,126 @@ function clearMonitoringTimers() {
   }
 }
 
+/**
+ * Imprime um trabalho da fila com as configurações atuais
+ * Os tickets já impressos em tentativas anteriores são pulados
+ * @param {Object} job - Trabalho da fila ({order, printedTickets})
+ * @param {Function} onTicketPrinted - Registra no trabalho cada ticket impresso
+ * @returns {Promise<Object>} Resultado de printOrderCopies (printed, printers)
+ */
+async function processPrintJob(job, onTicketPrinted) {
+  const config = store.get('config') || {};
+
+  // Com a verificação ligada, os tickets de impressoras indisponíveis aguardam sem gastar tentativas
+  return await printOrderCopies(job.order, config, {
+    printedTickets: job.printedTickets || [],
+    onTicketPrinted,
+    isPrinterAvailable: config.printerHealthCheck ? isPrinterAvailable : null
+  });
+}
+
+/**
+ * Registra no histórico e avisa a interface a cada mudança de situação de um trabalho da fila
+ * @param {Object} job - Trabalho da fila
+ */
+function handlePrintJobUpdate(job) {
+  const order = job.order;
+  let notification = null;
+
+  if (job.status === 'done' && job.result && !job.result.printed) {
+    logger.info(`Pedido #${order.id} ignorado pelas regras de impressão`);
+    saveOrderLog(order, 'skipped');
+    notification = { type: 'info', message: `Pedido #${order.id} não impresso (regra de impressão)`, printStatus: 'skipped' };
+  } else if (job.status === 'done') {
+    // Impressoras que realmente imprimiram cada via (a reserva, se a principal falhou)
+    const printers = (job.result && job.result.printers) || [];
+    const redirected = printers.filter(p => p.redirected);
+
+    logger.info(`Pedido #${order.id} impresso com sucesso em ${printers.map(p => `${p.copy}: ${p.printer}`).join(', ')}`);
+    saveOrderLog(order, 'success', { print_printers: printers });
+    notification = {
+      type: redirected.length > 0 ? 'info' : 'success',
+      message: redirected.length > 0
+        ? `Pedido #${order.id} impresso na impressora reserva: ${redirected.map(p => `${p.copy} em ${p.printer}`).join(', ')}`
+        : `Pedido #${order.id} impresso com sucesso!`,
+      printStatus: 'success',
+      printers
+    };
+  } else if (job.status === 'failed') {
+    logger.error(`Erro ao imprimir pedido #${order.id} (tentativa ${job.attempts}): ${job.lastError}`);
+    saveOrderLog(order, 'retrying');
+    notification = {
+      type: 'error',
+      message: `Erro ao imprimir pedido #${order.id}: ${job.lastError}. Nova tentativa automática em breve.`,
+      printStatus: 'retrying'
+    };
+  } else if (job.status === 'held') {
+    logger.warn(`Pedido #${order.id} aguardando impressora: ${job.lastError}`);
+    saveOrderLog(order, 'queued');
+    notification = {
+      type: 'info',
+      message: `Pedido #${order.id}: ${job.lastError}. Será impresso quando a impressora voltar.`,
+      printStatus: 'queued'
+    };
+  } else if (job.status === 'dead') {
+    logger.error(`Pedido #${order.id} não impresso após ${job.attempts} tentativas: ${job.lastError}`);
+    saveOrderLog(order, 'failed');
+    notification = {
+      type: 'error',
+      message: `Pedido #${order.id} não impresso após ${job.attempts} tentativas: ${job.lastError}`,
+      printStatus: 'failed'
+    };
+  } else if (job.status === 'discarded') {
+    saveOrderLog(order, 'discarded');
+    notification = { type: 'info', message: `Pedido #${order.id} descartado da fila de impressão`, printStatus: 'discarded' };
+  }
+
+  if (mainWindow) {
+    if (notification) {
+      mainWindow.webContents.send('notification', { ...notification, orderId: order.id });
+    }
+    mainWindow.webContents.send('print-queue-updated', getQueueJobs());
+  }
+}
+
+/**
+ * Retoma os trabalhos que aguardam impressora e avisa a interface quando o estado das impressoras muda
+ * @param {Object} health - Estado das impressoras (ver getPrinterHealth em src/health.js)
+ */
+function handlePrinterHealthChange(health) {
+  wakeHeldJobs();
+
+  if (mainWindow) {
+    mainWindow.webContents.send('printer-health', health);
+  }
+}
+
+/**
+ * Liga ou desliga a verificação periódica das impressoras conforme a configuração printerHealthCheck
+ * Desligada, os trabalhos que aguardavam impressora voltam a ser impressos normalmente
+ */
+function updateHealthMonitor() {
+  const config = store.get('config') || {};
+
+  if (config.printerHealthCheck) {
+    startHealthMonitor(() => store.get('config') || {}, handlePrinterHealthChange);
+    return;
+  }
+
+  stopHealthMonitor();
+  wakeHeldJobs();
+
+  if (mainWindow) {
+    mainWindow.webContents.send('printer-health', getPrinterHealth(config));
+  }
+}
+
 // Inicia o monitoramento com versão melhorada
 async function startMonitoringImproved() {
   const config = store.get('config');
 
   // Verifica configurações básicas
-  if (!config || !config.apiUrl || !config.username || !config.password || !config.printerId) {
+  if (!hasApiCredentials(config) || !config.printerId) {
     if (mainWindow) {
       mainWindow.webContents.send('notification', {
         type: 'error',
@@ -530,7 +677,7 @@ async function startMonitoringImproved() {
     clearMonitoringTimers();
 
     // Inicia o listener de pedidos
-    await startOrderListener(config, async (order) => {
+    await startOrderListener(config, async (order, options = {}) => {
       try {
         // Verificação de segurança para cada pedido
         if (!orderBelongsToVendor(order, config.vendorId)) {
@@ -543,35 +690,25 @@ async function startMonitoringImproved() {
           mainWindow.webContents.send('new-order', order);
         }
 
-        // Imprime o pedido
-        await printOrder(order, config.printerId);
-        logger.info(`Pedido #${order.id} impresso com sucesso`);
-
-        // Salva o log do pedido com status de sucesso
-        saveOrderLog(order, 'success');
-
-        if (mainWindow) {
-          mainWindow.webContents.send('notification', {
-            type: 'success',
-            message: `Pedido #${order.id} impresso com sucesso!`,
-            orderId: order.id,
-            printStatus: 'success'
-          });
+        // Status monitorado que não dispara a impressão: o pedido aguarda chegar a um status de impressão
+        if (options.print === false) {
+          saveOrderLog(order, 'waiting');
+          if (mainWindow) {
+            mainWindow.webContents.send('notification', {
+              type: 'info',
+              message: `Pedido #${order.id} recebido no status "${order.status}"; será impresso ao chegar a um status de impressão`,
+              orderId: order.id,
+              printStatus: 'waiting'
+            });
+          }
+          return;
         }
+
+        // A fila imprime as vias e tenta de novo se a impressora estiver indisponível
+        saveOrderLog(order, 'queued');
+        enqueueOrder(order);
       } catch (error) {
         logger.error(`Erro ao processar pedido #${order.id}: ${error.message}`);
-
-        // Salva o log do pedido com status de falha
-        saveOrderLog(order, 'failed');
-
-        if (mainWindow) {
-          mainWindow.webContents.send('notification', {
-            type: 'error',
-            message: `Erro ao imprimir pedido #${order.id}: ${error.message}`,
-            orderId: order.id,
-            printStatus: 'failed'
-          });
-        }
       }
     });
 
@@ -684,10 +821,18 @@ async function handleSaveConfig(event, config) {
     // Flags para determinar se o monitoramento precisa ser reiniciado
     let needsRestart = isRunning && (
       oldConfig.apiUrl !== sanitizedConfig.apiUrl ||
+      oldConfig.authMode !== sanitizedConfig.authMode ||
       oldConfig.username !== sanitizedConfig.username ||
       oldConfig.password !== sanitizedConfig.password ||
+      oldConfig.appPassword !== sanitizedConfig.appPassword ||
+      oldConfig.consumerKey !== sanitizedConfig.consumerKey ||
+      oldConfig.consumerSecret !== sanitizedConfig.consumerSecret ||
       oldConfig.vendorId !== sanitizedConfig.vendorId ||
-      oldConfig.checkInterval !== sanitizedConfig.checkInterval
+      oldConfig.checkInterval !== sanitizedConfig.checkInterval ||
+      oldConfig.webhookEnabled !== sanitizedConfig.webhookEnabled ||
+      oldConfig.webhookPort !== sanitizedConfig.webhookPort ||
+      oldConfig.webhookSecret !== sanitizedConfig.webhookSecret ||
+      JSON.stringify(oldConfig.orderStatuses || {}) !== JSON.stringify(sanitizedConfig.orderStatuses || {})
     );
 
     // Tenta detectar o ID do vendedor apenas se não fornecido
@@ -724,6 +869,9 @@ async function handleSaveConfig(event, config) {
       throw new Error(`Falha ao salvar configurações: ${storeError.message}`);
     }
 
+    // Verifica já as impressoras, que podem ter mudado, ou para a verificação se foi desligada
+    updateHealthMonitor();
+
     // Se o monitoramento estava ativo e houve alterações relevantes, reinicia
     if (needsRestart) {
       logger.info('Configurações relevantes foram alteradas, reiniciando monitoramento');
@@ -786,13 +934,46 @@ function sanitizeConfigObject(config) {
   // Lista de propriedades seguras esperadas no objeto de configuração
   const safeProps = [
     'apiUrl',
+    'authMode',
     'username',
     'password',
+    'appPassword',
+    'consumerKey',
+    'consumerSecret',
     'vendorId',
     'checkInterval',
+    'webhookEnabled',
+    'webhookPort',
+    'webhookSecret',
+    'orderStatuses',
     'printerId',
     'autostart',
-    'printWidth'
+    'printWidth',
+    'printMode',
+    'networkPrinters',
+    'printerBackend',
+    'printFolder',
+    'pixKey',
+    'pixMerchantName',
+    'pixCity',
+    'deliveryFields',
+    'itemRoutes',
+    'printRules',
+    'fallbackPrinters',
+    'failoverAttempts',
+    'printerHealthCheck',
+    'itemMetaFilter',
+    'logoPath',
+    'receiptTemplate',
+    'printerCharsets',
+    'printCopies'
+  ];
+
+  // Propriedades salvas como objeto (mapeamentos simples), e não convertidas em texto
+  const objectProps = [
+    'orderStatuses',
+    'printerCharsets',
+    'printCopies'
   ];
 
   // Copia apenas as propriedades seguras
@@ -801,7 +982,9 @@ function sanitizeConfigObject(config) {
       // Converte para string em caso de tipos complexos
       if (typeof config[prop] === 'object' && config[prop] !== null) {
         try {
-          safeConfig[prop] = JSON.stringify(config[prop]);
+          safeConfig[prop] = objectProps.includes(prop)
+            ? JSON.parse(JSON.stringify(config[prop]))
+            : JSON.stringify(config[prop]);
         } catch (e) {
           // Se não conseguir stringificar, usa representação em string
           safeConfig[prop] = String(config[prop]);
@@ -822,6 +1005,19 @@ function sanitizeConfigObject(config) {
     safeConfig.autostart = Boolean(safeConfig.autostart);
   }
 
+  // Garante que webhookEnabled seja um booleano e webhookPort um número
+  if (safeConfig.webhookEnabled !== undefined) {
+    safeConfig.webhookEnabled = Boolean(safeConfig.webhookEnabled);
+  }
+  if (safeConfig.webhookPort) {
+    safeConfig.webhookPort = Number(safeConfig.webhookPort) || 8787;
+  }
+
+  // Garante que printerHealthCheck seja um booleano
+  if (safeConfig.printerHealthCheck !== undefined) {
+    safeConfig.printerHealthCheck = Boolean(safeConfig.printerHealthCheck);
+  }
+
   // Garante que printWidth seja um número
   if (safeConfig.printWidth) {
     safeConfig.printWidth = Number(safeConfig.printWidth) || 48;
@@ -978,7 +1174,7 @@ ipcMain.handle('clear-authentication', () => {
 // Handlers IPC
 ipcMain.handle('get-printers', async () => {
   try {
-    return await getPrinters();
+    return await getPrinters(store.get('config') || {});
   } catch (error) {
     logger.error(`Erro ao obter impressoras: ${error.message}`);
     throw new Error(`Não foi possível obter a lista de impressoras: ${error.message}`);
@@ -986,6 +1182,26 @@ ipcMain.handle('get-printers', async () => {
 });
 
 ipcMain.handle('save-config', async (event, configInput) => {
+  // Um modelo de recibo inválido não é salvo, para não interromper as impressões
+  if (configInput && configInput.receiptTemplate) {
+    validateTemplate(configInput.receiptTemplate);
+  }
+  if (configInput && configInput.printCopies) {
+    for (const [type, copy] of Object.entries(configInput.printCopies)) {
+      if (COPY_TYPES[type] && copy && copy.template) {
+        try {
+          validateTemplate(copy.template);
+        } catch (error) {
+          throw new Error(`${COPY_TYPES[type].label}: ${error.message}`);
+        }
+      }
+    }
+  }
+  // Regras com erro também não são salvas: o erro indica a linha
+  if (configInput && configInput.printRules) {
+    parsePrintRules(configInput.printRules);
+  }
+
   try {
     // Se o objeto tiver métodos ou propriedades não serializáveis, eles serão removidos aqui
     const configStr = JSON.stringify(configInput);
@@ -999,13 +1215,39 @@ ipcMain.handle('save-config', async (event, configInput) => {
     try {
       const extractedConfig = {
         apiUrl: configInput.apiUrl || '',
+        authMode: configInput.authMode || 'password',
         username: configInput.username || '',
         password: configInput.password || '',
+        appPassword: configInput.appPassword || '',
+        consumerKey: configInput.consumerKey || '',
+        consumerSecret: configInput.consumerSecret || '',
         vendorId: configInput.vendorId || '',
         checkInterval: Number(configInput.checkInterval) || 60,
+        webhookEnabled: Boolean(configInput.webhookEnabled),
+        webhookPort: Number(configInput.webhookPort) || 8787,
+        webhookSecret: configInput.webhookSecret || '',
+        orderStatuses: configInput.orderStatuses || {},
         printerId: configInput.printerId || '',
         autostart: Boolean(configInput.autostart),
-        printWidth: Number(configInput.printWidth) || 48
+        printWidth: Number(configInput.printWidth) || 48,
+        printMode: configInput.printMode || 'text',
+        networkPrinters: configInput.networkPrinters || '',
+        printerBackend: configInput.printerBackend || 'auto',
+        printFolder: configInput.printFolder || '',
+        pixKey: configInput.pixKey || '',
+        pixMerchantName: configInput.pixMerchantName || '',
+        pixCity: configInput.pixCity || '',
+        deliveryFields: configInput.deliveryFields || '',
+        itemRoutes: configInput.itemRoutes || '',
+        printRules: configInput.printRules || '',
+        fallbackPrinters: configInput.fallbackPrinters || '',
+        failoverAttempts: Number(configInput.failoverAttempts) || 2,
+        printerHealthCheck: Boolean(configInput.printerHealthCheck),
+        itemMetaFilter: configInput.itemMetaFilter || '',
+        logoPath: configInput.logoPath || '',
+        receiptTemplate: configInput.receiptTemplate || '',
+        printerCharsets: configInput.printerCharsets || {},
+        printCopies: configInput.printCopies || {}
       };
 
       logger.info('Tentando salvar configuração extraída manualmente');
@@ -1137,10 +1379,74 @@ ipcMain.handle('stop-monitoring', async () => {
   }
 });
 
+// Modelo padrão do recibo de cada via, usado quando nenhum modelo personalizado foi salvo
+ipcMain.handle('get-default-template', (event, copyType) => {
+  return getDefaultCopyTemplate(copyType);
+});
+
+// Seleção do logotipo do recibo: a imagem é validada e copiada para a pasta de dados do aplicativo
+ipcMain.handle('select-logo', async () => {
+  try {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Selecionar logotipo do recibo',
+      properties: ['openFile'],
+      filters: [{ name: 'Imagens', extensions: ['png', 'jpg', 'jpeg'] }]
+    });
+
+    if (result.canceled || result.filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
+
+    const source = result.filePaths[0];
+    const logoPath = path.join(app.getPath('userData'), `logo${path.extname(source).toLowerCase()}`);
+
+    // Converte uma vez para validar a imagem antes de substituir o logotipo em uso
+    const config = store.get('config') || {};
+    const raster = loadLogo(source, getDotWidth(config.printWidth));
+
+    // Copia para um temporário e renomeia, para não deixar o logotipo em uso pela metade se a cópia falhar
+    const tempPath = `${logoPath}.tmp`;
+    fs.copyFileSync(source, tempPath);
+    fs.renameSync(tempPath, logoPath);
+
+    logger.info(`Logotipo do recibo copiado para ${logoPath} (${raster.width}x${raster.height} pontos)`);
+    return { success: true, logoPath, name: path.basename(source), width: raster.width, height: raster.height };
+  } catch (error) {
+    logger.error(`Erro ao selecionar logotipo: ${error.message}`);
+    return { success: false, message: error.message };
+  }
+});
+
+// Campos de entrega do Log de Pedidos: interpretados e extraídos como no recibo (ver src/meta.js)
+ipcMain.handle('map-delivery-fields', (event, text, orderList) => {
+  const fields = parseFieldMapping(text);
+  const values = {};
+
+  for (const order of orderList || []) {
+    values[order.id] = {};
+    for (const field of mapFields(order.meta_data, fields)) {
+      values[order.id][field.key] = field.value;
+    }
+  }
+
+  return { fields, values };
+});
+
+// Pré-visualização do recibo com as configurações ainda não salvas da interface
+ipcMain.handle('preview-receipt', (event, order, options) => {
+  try {
+    const config = { ...(store.get('config') || {}), ...(options || {}) };
+    return { success: true, ...previewOrder(order, config) };
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+});
+
 // Teste de impressão
-ipcMain.handle('test-print', async (event, testOrder, printerName) => {
+ipcMain.handle('test-print', async (event, testOrder, printerName, options) => {
   try {
-    await printTest(testOrder, printerName);
+    const config = store.get('config') || {};
+    await printTest(testOrder, printerName, { ...config, ...(options || {}) });
     logger.info(`Teste de impressão realizado com sucesso na impressora ${printerName}`);
 
     // Envia resultado para a interface
@@ -1199,6 +1505,40 @@ ipcMain.handle('clear-order-history', async () => {
   return await handleClearOrderHistory();
 });
 
+// Fila de impressão: trabalhos pendentes, com falha e desistidos
+ipcMain.handle('get-print-queue', () => {
+  return getQueueJobs();
+});
+
+// Coloca um trabalho de volta na fila para impressão imediata
+ipcMain.handle('retry-print-job', (event, jobId) => {
+  try {
+    const job = retryJob(jobId);
+    logger.info(`Nova tentativa de impressão do pedido #${job.orderId} solicitada pelo usuário`);
+    return { success: true, job };
+  } catch (error) {
+    logger.error(`Erro ao tentar novamente o trabalho ${jobId}: ${error.message}`);
+    return { success: false, message: error.message };
+  }
+});
+
+// Remove um trabalho da fila sem imprimir
+ipcMain.handle('discard-print-job', (event, jobId) => {
+  try {
+    const job = discardJob(jobId);
+    logger.info(`Trabalho do pedido #${job.orderId} descartado pelo usuário`);
+    return { success: true, job };
+  } catch (error) {
+    logger.error(`Erro ao descartar o trabalho ${jobId}: ${error.message}`);
+    return { success: false, message: error.message };
+  }
+});
+
+// Estado das impressoras monitoradas e destinos sem impressora disponível
+ipcMain.handle('get-printer-health', () => {
+  return getPrinterHealth(store.get('config') || {});
+});
+
 // Impede que o aplicativo feche ao clicar em fechar, apenas minimiza para a bandeja
 app.on('window-all-closed', function (e) {
   e.preventDefault();
@@ -1215,4 +1555,6 @@ app.on('before-quit', () => {
   } catch (error) {
     logger.error(`Erro ao parar monitoramento durante saída: ${error.message}`);
   }
+  stopQueue();
+  stopHealthMonitor();
 });
\ No newline at end of file
@@ -12,8 +12,20 @@ contextBridge.exposeInMainWorld('electronAPI', {
   startMonitoring: () => ipcRenderer.invoke('start-monitoring'),
   stopMonitoring: () => ipcRenderer.invoke('stop-monitoring'),
 
+  // Modelo padrão do recibo de cada via (customer, kitchen, courier)
+  getDefaultTemplate: (copyType) => ipcRenderer.invoke('get-default-template', copyType),
+
+  // Logotipo do recibo
+  selectLogo: () => ipcRenderer.invoke('select-logo'),
+
+  // Pré-visualização do recibo
+  previewReceipt: (order, options) => ipcRenderer.invoke('preview-receipt', order, options),
+
+  // Campos de entrega do Log de Pedidos ({fields, values por pedido})
+  mapDeliveryFields: (text, orders) => ipcRenderer.invoke('map-delivery-fields', text, orders),
+
   // Teste de impressão
-  testPrint: (testOrder, printerName) => ipcRenderer.invoke('test-print', testOrder, printerName),
+  testPrint: (testOrder, printerName, options) => ipcRenderer.invoke('test-print', testOrder, printerName, options),
 
   // Obter histórico de pedidos
   getOrderHistory: () => ipcRenderer.invoke('get-order-history'),
@@ -21,6 +33,14 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Limpar histórico de pedidos
   clearOrderHistory: () => ipcRenderer.invoke('clear-order-history'),
 
+  // Fila de impressão
+  getPrintQueue: () => ipcRenderer.invoke('get-print-queue'),
+  retryPrintJob: (jobId) => ipcRenderer.invoke('retry-print-job', jobId),
+  discardPrintJob: (jobId) => ipcRenderer.invoke('discard-print-job', jobId),
+
+  // Estado das impressoras (papel, tampa, conexão)
+  getPrinterHealth: () => ipcRenderer.invoke('get-printer-health'),
+
   // Ouvintes de eventos
   onPrintersList: (callback) => ipcRenderer.on('printers-list', (_, printers) => callback(printers)),
   onLoadConfig: (callback) => ipcRenderer.on('load-config', (_, config) => callback(config)),
@@ -29,6 +49,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
   onNotification: (callback) => ipcRenderer.on('notification', (_, notification) => callback(notification)),
   onPrintResult: (callback) => ipcRenderer.on('print-result', (_, result) => callback(result)),
   onMonitoringStatus: (callback) => ipcRenderer.on('monitoring-status', (_, status) => callback(status)),
+  onPrintQueueUpdated: (callback) => ipcRenderer.on('print-queue-updated', (_, jobs) => callback(jobs)),
+  onPrinterHealth: (callback) => ipcRenderer.on('printer-health', (_, health) => callback(health)),
 
   // Verificação de senha
   verifySupportPassword: (password) => ipcRenderer.invoke('verifySupportPassword', password),
@@ -38,6 +60,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
   clearAuthentication: () => ipcRenderer.invoke('clear-authentication'),
   clearProcessedOrders: () => ipcRenderer.invoke('clear-processed-orders'),
   listVendors: () => ipcRenderer.invoke('list-vendors'),
+  listOrderStatuses: () => ipcRenderer.invoke('list-order-statuses'),
   testAPI: (config) => ipcRenderer.invoke('test-api', config),
   diagnoseConfigError: (config) => ipcMain.invoke('diagnose-config-error', config),
 
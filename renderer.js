@@ -6,9 +6,14 @@ const tabButtons = document.querySelectorAll('.tab');
 const tabContents = document.querySelectorAll('.tab-content');
 const notificationEl = document.getElementById('notification');
 const printerSelect = document.getElementById('printerSelect');
+const printerCharsetSelect = document.getElementById('printerCharset');
 const apiUrlInput = document.getElementById('apiUrl');
+const authModeSelect = document.getElementById('authMode');
 const usernameInput = document.getElementById('username');
 const passwordInput = document.getElementById('password');
+const appPasswordInput = document.getElementById('appPassword');
+const consumerKeyInput = document.getElementById('consumerKey');
+const consumerSecretInput = document.getElementById('consumerSecret');
 const vendorIdInput = document.getElementById('vendorId');
 const listVendorsButton = document.createElement('button');
 listVendorsButton.textContent = 'Listar Vendedores';
@@ -17,12 +22,47 @@ listVendorsButton.style.marginTop = '10px';
 vendorIdInput.parentNode.appendChild(listVendorsButton);
 const checkIntervalInput = document.getElementById('checkInterval');
 const autostartCheckbox = document.getElementById('autostart');
+const webhookEnabledCheckbox = document.getElementById('webhookEnabled');
+const webhookPortInput = document.getElementById('webhookPort');
+const webhookSecretInput = document.getElementById('webhookSecret');
+const printModeSelect = document.getElementById('printMode');
+const networkPrintersInput = document.getElementById('networkPrinters');
+const printerBackendSelect = document.getElementById('printerBackend');
+const printFolderInput = document.getElementById('printFolder');
+const pixKeyInput = document.getElementById('pixKey');
+const pixMerchantNameInput = document.getElementById('pixMerchantName');
+const pixCityInput = document.getElementById('pixCity');
+const deliveryFieldsInput = document.getElementById('deliveryFields');
+const itemRoutesInput = document.getElementById('itemRoutes');
+const printRulesInput = document.getElementById('printRules');
+const fallbackPrintersInput = document.getElementById('fallbackPrinters');
+const failoverAttemptsInput = document.getElementById('failoverAttempts');
+const printerHealthCheckCheckbox = document.getElementById('printerHealthCheck');
+const itemMetaFilterInput = document.getElementById('itemMetaFilter');
+const logoName = document.getElementById('logoName');
+const selectLogoButton = document.getElementById('selectLogo');
+const removeLogoButton = document.getElementById('removeLogo');
+const receiptTemplateInput = document.getElementById('receiptTemplate');
+const restoreTemplateButton = document.getElementById('restoreTemplate');
+const saveTemplateButton = document.getElementById('saveTemplate');
+const templateCopySelect = document.getElementById('templateCopy');
+const copyRows = document.querySelectorAll('[data-copy-type]');
+const orderStatusesTable = document.getElementById('orderStatusesTable');
+const loadOrderStatusesButton = document.getElementById('loadOrderStatuses');
+const printWidthInput = document.getElementById('printWidth');
+const receiptPreview = document.getElementById('receiptPreview');
+const previewSummary = document.getElementById('previewSummary');
+const previewOrderLabel = document.getElementById('previewOrderLabel');
+const previewTestOrderButton = document.getElementById('previewTestOrder');
 const saveConfigButton = document.getElementById('saveConfig');
 const startMonitoringButton = document.getElementById('startMonitoring');
 const stopMonitoringButton = document.getElementById('stopMonitoring');
 const statusIndicator = document.getElementById('statusIndicator');
 const statusText = document.getElementById('statusText');
+const printerHealthIndicator = document.getElementById('printerHealthIndicator');
+const printerHealthText = document.getElementById('printerHealthText');
 const ordersTable = document.getElementById('ordersTable');
+const queueTable = document.getElementById('queueTable');
 const testPrintButton = document.getElementById('testPrint');
 const clearProcessedOrdersButton = document.getElementById('clearProcessedOrders');
 const refreshOrdersButton = document.getElementById('refreshOrdersButton');
@@ -34,8 +74,9 @@ const showCredentialsBtn = document.getElementById('showCredentialsBtn');
 listVendorsButton.addEventListener('click', async () => {
   try {
     // Verifica se os campos obrigatórios estão preenchidos
-    if (!apiUrlInput.value || !usernameInput.value || !passwordInput.value) {
-      showNotification('error', 'Preencha URL, usuário e senha primeiro');
+    const credentialsError = getCredentialsError();
+    if (credentialsError) {
+      showNotification('error', credentialsError);
       return;
     }
 
@@ -191,8 +232,9 @@ if (testAPIButton) {
   testAPIButton.addEventListener('click', async () => {
     try {
       // Verifica se os campos obrigatórios estão preenchidos
-      if (!apiUrlInput.value || !usernameInput.value || !passwordInput.value) {
-        showNotification('error', 'Preencha URL, usuário e senha primeiro');
+      const credentialsError = getCredentialsError();
+      if (credentialsError) {
+        showNotification('error', credentialsError);
         return;
       }
 
@@ -207,9 +249,14 @@ if (testAPIButton) {
       // Prepara o objeto de configuração
       const config = {
         apiUrl: apiUrlInput.value.trim(),
+        authMode: authModeSelect.value,
         username: usernameInput.value.trim(),
         password: passwordInput.value.trim(),
-        vendorId: vendorIdInput.value.trim()
+        appPassword: appPasswordInput.value.trim(),
+        consumerKey: consumerKeyInput.value.trim(),
+        consumerSecret: consumerSecretInput.value.trim(),
+        vendorId: vendorIdInput.value.trim(),
+        orderStatuses: getOrderStatusesConfig()
       };
 
       // Testa a API
@@ -286,6 +333,16 @@ if (testAPIButton) {
 let isMonitoring = false;
 let printerId = '';
 let orders = []; // Array para armazenar os pedidos
+let defaultTemplates = {}; // Modelo padrão de cada via, obtido do processo principal
+let copyTemplates = { customer: '', kitchen: '', courier: '' }; // Modelo salvo de cada via ('' = padrão)
+let editingCopyType = 'customer'; // Via exibida no editor de modelo
+let previewedOrder = null; // Pedido exibido na pré-visualização (null = pedido de teste)
+let printerCharsets = {}; // Codificação de caracteres por impressora (printerId -> codificação)
+let previewTimer = null;
+let logoPath = ''; // Logotipo do recibo copiado para a pasta de dados do aplicativo
+let deliveryFields = []; // Campos de entrega exibidos como colunas no Log de Pedidos ({key, label})
+let deliveryFieldsText = ''; // Mapeamento configurado dos campos de entrega
+let deliveryValues = {}; // Valores dos campos de entrega de cada pedido (id -> {chave: valor})
 
 // Função para mostrar a tela principal diretamente (sem login)
 function showMainContent() {
@@ -345,6 +402,47 @@ function updateMonitoringStatus(status) {
   }
 }
 
+// Função para atualizar o indicador de estado das impressoras
+function updatePrinterHealth(health) {
+  const printers = (health && health.printers) || [];
+  const problems = printers.filter(p => p.state !== 'ok' && p.state !== 'unknown');
+
+  let indicatorClass = 'status-running';
+  let text = 'Impressoras OK';
+
+  if (health && health.enabled === false) {
+    indicatorClass = 'health-unknown';
+    text = 'Impressoras: verificação desligada';
+  } else if (printers.length === 0) {
+    indicatorClass = 'health-unknown';
+    text = 'Impressoras: verificando...';
+  } else if (health.blocked && health.blocked.length > 0) {
+    indicatorClass = 'status-stopped';
+    text = `Aguardando impressora: ${health.blocked.join(', ')}`;
+  } else if (problems.length > 0) {
+    // Papel acabando é só um aviso; os demais estados impedem a impressão naquela impressora
+    indicatorClass = problems.every(p => p.state === 'paper_near_end') ? 'health-warning' : 'status-stopped';
+    text = problems.map(p => `${p.name}: ${p.label}`).join(', ');
+  }
+
+  printerHealthIndicator.className = `status-indicator ${indicatorClass}`;
+  printerHealthText.textContent = text;
+
+  // Detalhes de cada impressora ao passar o mouse
+  printerHealthText.title = printers
+    .map(p => `${p.name}: ${p.label}${p.detail ? ` (${p.detail})` : ''}`)
+    .join('\n');
+}
+
+// Carrega o estado das impressoras
+async function loadPrinterHealth() {
+  try {
+    updatePrinterHealth(await window.electronAPI.getPrinterHealth());
+  } catch (error) {
+    console.error('Erro ao carregar o estado das impressoras:', error);
+  }
+}
+
 // Função para adicionar um pedido à tabela
 function addOrderToTable(order, printStatus = 'pending') {
   // Remove a mensagem "Nenhum pedido processado ainda"
@@ -358,7 +456,7 @@ function addOrderToTable(order, printStatus = 'pending') {
   if (existingRow) {
     // Atualiza o status de impressão
     const statusCell = existingRow.querySelector('.print-status-cell');
-    updatePrintStatus(statusCell, printStatus);
+    updatePrintStatus(statusCell, printStatus, order.print_printers);
     return;
   }
 
@@ -388,6 +486,7 @@ function addOrderToTable(order, printStatus = 'pending') {
 
   const total = order.total ? parseFloat(order.total).toFixed(2) : '0.00';
 
+  row.dataset.orderId = order.id;
   row.innerHTML = `
     <td>#${order.id}</td>
     <td>${formattedDate}<br>${formattedTime}</td>
@@ -400,14 +499,22 @@ function addOrderToTable(order, printStatus = 'pending') {
     </td>
     <td>
       <button class="action-btn print-btn" data-order-id="${order.id}">Imprimir</button>
+      <button class="action-btn preview-btn" data-order-id="${order.id}">Visualizar</button>
     </td>
   `;
+  insertDeliveryCells(row, order);
+  updatePrintStatus(row.querySelector('.print-status-cell'), printStatus, order.print_printers);
 
   // Adiciona o evento de clique no botão de impressão
   row.querySelector('.print-btn').addEventListener('click', () => {
     reprintOrder(order);
   });
 
+  // Mostra o recibo do pedido na pré-visualização das configurações
+  row.querySelector('.preview-btn').addEventListener('click', () => {
+    showOrderPreview(order);
+  });
+
   // Adiciona a linha à tabela
   tbody.appendChild(row);
 
@@ -420,14 +527,100 @@ function addOrderToTable(order, printStatus = 'pending') {
   sortOrdersTable();
 }
 
-// Atualiza o status de impressão na tabela
-function updatePrintStatus(statusCell, status) {
+// Busca no processo principal os valores dos campos de entrega dos pedidos, extraídos como no recibo
+async function loadDeliveryValues(orderList) {
+  try {
+    const result = await window.electronAPI.mapDeliveryFields(
+      deliveryFieldsText,
+      orderList.map(order => ({ id: order.id, meta_data: order.meta_data }))
+    );
+    Object.assign(deliveryValues, result.values);
+    return result;
+  } catch (error) {
+    console.error('Erro ao carregar os campos de entrega:', error);
+    return null;
+  }
+}
+
+// Quantidade de colunas da tabela de pedidos (usada nas mensagens de tabela vazia)
+function getOrderColumnCount() {
+  return ordersTable.querySelectorAll('thead th').length;
+}
+
+// Insere as células dos campos de entrega depois da coluna Cliente
+function insertDeliveryCells(row, order) {
+  row.querySelectorAll('.delivery-cell').forEach(cell => cell.remove());
+
+  const totalCell = row.children[3];
+  const values = deliveryValues[order.id];
+  for (const field of deliveryFields) {
+    const cell = document.createElement('td');
+    cell.className = 'delivery-cell';
+    cell.textContent = (values && values[field.key]) || '';
+    row.insertBefore(cell, totalCell);
+  }
+
+  // Pedido novo na tabela: preenche as células assim que os valores chegarem
+  if (deliveryFields.length > 0 && !values) {
+    loadDeliveryValues([order]).then(result => {
+      if (result && row.isConnected) {
+        insertDeliveryCells(row, order);
+      }
+    });
+  }
+}
+
+// Recria as colunas de entrega no cabeçalho e nas linhas já exibidas
+async function updateDeliveryColumns(text) {
+  deliveryFieldsText = text || '';
+  deliveryValues = {};
+
+  const result = await loadDeliveryValues(orders);
+  deliveryFields = result ? result.fields : [];
+
+  const headerRow = ordersTable.querySelector('thead tr');
+  headerRow.querySelectorAll('.delivery-column').forEach(th => th.remove());
+  const totalHeader = headerRow.children[3];
+  for (const field of deliveryFields) {
+    const th = document.createElement('th');
+    th.className = 'delivery-column';
+    th.textContent = field.label;
+    headerRow.insertBefore(th, totalHeader);
+  }
+
+  ordersTable.querySelectorAll('tbody tr').forEach(row => {
+    const order = orders.find(o => String(o.id) === row.dataset.orderId);
+    if (order) {
+      insertDeliveryCells(row, order);
+    }
+  });
+  ordersTable.querySelectorAll('tbody .empty-table').forEach(cell => {
+    cell.colSpan = getOrderColumnCount();
+  });
+}
+
+// Atualiza o status de impressão na tabela, com as impressoras que imprimiram cada via
+function updatePrintStatus(statusCell, status, printers = []) {
   const statusIcon = statusCell.querySelector('.print-status');
   statusIcon.className = `print-status print-${status}`;
   statusCell.innerHTML = `
     <span class="print-status print-${status}"></span>
     ${getPrintStatusText(status)}
   `;
+
+  if (printers && printers.length > 0) {
+    const printersInfo = document.createElement('small');
+    printersInfo.className = 'print-printers';
+    printersInfo.textContent = formatPrintPrinters(printers);
+    statusCell.appendChild(printersInfo);
+  }
+}
+
+// Descreve onde cada via foi impressa (ex: "Via do Cliente: EPSON (reserva)")
+function formatPrintPrinters(printers) {
+  return printers
+    .map(p => `${p.copy}: ${p.printer}${p.redirected ? ' (reserva)' : ''}`)
+    .join(', ');
 }
 
 // Retorna o texto do status de impressão
@@ -437,6 +630,16 @@ function getPrintStatusText(status) {
       return 'Impresso';
     case 'failed':
       return 'Falha';
+    case 'skipped':
+      return 'Ignorado';
+    case 'queued':
+      return 'Na fila';
+    case 'retrying':
+      return 'Nova tentativa';
+    case 'discarded':
+      return 'Descartado';
+    case 'waiting':
+      return 'Aguardando status';
     case 'pending':
       return 'Pendente';
     default:
@@ -480,6 +683,101 @@ async function reprintOrder(order) {
   }
 }
 
+// Situação dos trabalhos da fila de impressão
+function getQueueStatusText(status) {
+  switch (status) {
+    case 'queued':
+      return 'Na fila';
+    case 'printing':
+      return 'Imprimindo';
+    case 'failed':
+      return 'Aguardando nova tentativa';
+    case 'held':
+      return 'Aguardando impressora';
+    case 'dead':
+      return 'Tentativas esgotadas';
+    default:
+      return status;
+  }
+}
+
+// Exibe os trabalhos pendentes da fila de impressão
+function renderPrintQueue(jobs) {
+  const tbody = queueTable.querySelector('tbody');
+  tbody.innerHTML = '';
+
+  if (!jobs || jobs.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="7" class="empty-table">Nenhuma impressão pendente.</td></tr>';
+    return;
+  }
+
+  for (const job of jobs) {
+    const row = document.createElement('tr');
+    const statusClass = { failed: 'retrying', held: 'waiting' }[job.status] || job.status;
+    const nextAttempt = job.status === 'failed' && job.nextAttemptAt
+      ? new Date(job.nextAttemptAt).toLocaleTimeString('pt-BR')
+      : '-';
+
+    row.innerHTML = `
+      <td>#${job.orderId}</td>
+      <td></td>
+      <td>
+        <span class="print-status print-${statusClass}"></span>
+        ${getQueueStatusText(job.status)}
+      </td>
+      <td>${job.attempts}/${job.maxAttempts}</td>
+      <td>${nextAttempt}</td>
+      <td></td>
+      <td>
+        <button class="action-btn retry-btn">Tentar novamente</button>
+        <button class="action-btn discard-btn">Descartar</button>
+      </td>
+    `;
+
+    // Textos vindos do pedido e da impressora não são interpretados como HTML
+    row.cells[1].textContent = job.customer || '-';
+    row.cells[5].textContent = job.lastError || '-';
+
+    const retryButton = row.querySelector('.retry-btn');
+    const discardButton = row.querySelector('.discard-btn');
+    retryButton.disabled = job.status === 'printing';
+    discardButton.disabled = job.status === 'printing';
+
+    retryButton.addEventListener('click', async () => {
+      const result = await window.electronAPI.retryPrintJob(job.id);
+      if (result.success) {
+        showNotification('info', `Pedido #${job.orderId} enviado novamente para impressão`);
+      } else {
+        showNotification('error', result.message);
+      }
+      renderPrintQueue(await window.electronAPI.getPrintQueue());
+    });
+
+    discardButton.addEventListener('click', async () => {
+      if (!confirm(`Descartar a impressão do pedido #${job.orderId}? O pedido não será impresso.`)) {
+        return;
+      }
+
+      const result = await window.electronAPI.discardPrintJob(job.id);
+      if (!result.success) {
+        showNotification('error', result.message);
+      }
+      renderPrintQueue(await window.electronAPI.getPrintQueue());
+    });
+
+    tbody.appendChild(row);
+  }
+}
+
+// Carrega a fila de impressão
+async function loadPrintQueue() {
+  try {
+    renderPrintQueue(await window.electronAPI.getPrintQueue());
+  } catch (error) {
+    console.error('Erro ao carregar a fila de impressão:', error);
+  }
+}
+
 // Função para ordenar a tabela de pedidos (mais recentes primeiro)
 function sortOrdersTable() {
   const tbody = ordersTable.querySelector('tbody');
@@ -599,7 +897,7 @@ function filterOrders(searchTerm) {
     // Adiciona a mensagem de "nenhum resultado"
     const emptyRow = document.createElement('tr');
     emptyRow.className = 'no-results-row';
-    emptyRow.innerHTML = `<td colspan="7" class="empty-table">Nenhum pedido encontrado com o termo "${searchTerm}"</td>`;
+    emptyRow.innerHTML = `<td colspan="${getOrderColumnCount()}" class="empty-table">Nenhum pedido encontrado com o termo "${searchTerm}"</td>`;
     tbody.appendChild(emptyRow);
   } else {
     // Remove a mensagem de "nenhum resultado" se existir
@@ -647,10 +945,324 @@ window.addEventListener('DOMContentLoaded', () => {
   }).catch(error => {
     console.error('Erro ao verificar status do monitoramento:', error);
   });
+
+  // Mostra o modelo padrão no editor enquanto não houver modelo salvo
+  loadTemplateEditor();
 });
 
-// Carrega a lista de impressoras
-window.electronAPI.onPrintersList((printers) => {
+// Preenche o editor com o modelo salvo ou o padrão da via selecionada
+async function loadTemplateEditor() {
+  try {
+    if (!defaultTemplates[editingCopyType]) {
+      defaultTemplates[editingCopyType] = await window.electronAPI.getDefaultTemplate(editingCopyType);
+    }
+    receiptTemplateInput.value = copyTemplates[editingCopyType] || defaultTemplates[editingCopyType];
+  } catch (error) {
+    console.error('Erro ao carregar modelo padrão do recibo:', error);
+  }
+
+  updateReceiptPreview();
+}
+
+// Cria o pedido usado no teste de impressão e na pré-visualização
+function createTestOrder() {
+  return {
+    id: 'TESTE-' + Date.now(),
+    date_created: new Date().toISOString(),
+    status: 'processing',
+    payment_method_title: 'Pagamento via PIX',
+    payment_method: 'pix',
+    total: '99.99',
+    billing: {
+      first_name: 'Cliente',
+      last_name: 'Teste',
+      address_1: 'Rua de Teste, 123',
+      city: 'Cidade Teste',
+      state: 'TE',
+      postcode: '12345-678',
+      country: 'BR',
+      email: 'cliente@teste.com',
+      phone: '(99) 99999-9999'
+    },
+    line_items: [
+      {
+        name: 'Produto Teste 1',
+        quantity: 2,
+        price: '29.99',
+        subtotal: '59.98',
+        sku: '0005',
+        meta_data: [
+          { key: 'pa_tamanho', display_key: 'Tamanho', value: 'g', display_value: 'G' },
+          { key: '_reduced_stock', value: '2' }
+        ]
+      },
+      {
+        name: 'Produto Teste 2',
+        quantity: 1,
+        price: '39.99',
+        subtotal: '39.99',
+        sku: '1115'
+      }
+    ]
+  };
+}
+
+// Atualiza a pré-visualização com a largura e o modelo atuais (mesmo sem salvar)
+async function updateReceiptPreview() {
+  try {
+    const order = previewedOrder || createTestOrder();
+    const result = await window.electronAPI.previewReceipt(order, {
+      printWidth: parseInt(printWidthInput.value) || 48,
+      receiptTemplate: receiptTemplateInput.value,
+      apiUrl: apiUrlInput.value.trim(),
+      pixKey: pixKeyInput.value.trim(),
+      pixMerchantName: pixMerchantNameInput.value.trim(),
+      pixCity: pixCityInput.value.trim(),
+      deliveryFields: deliveryFieldsInput.value,
+      itemMetaFilter: itemMetaFilterInput.value
+    });
+
+    receiptPreview.innerHTML = '';
+
+    if (!result.success) {
+      const errorLine = document.createElement('div');
+      errorLine.className = 'preview-overflow';
+      errorLine.textContent = result.message;
+      receiptPreview.appendChild(errorLine);
+      previewSummary.textContent = '';
+      return;
+    }
+
+    // Largura do "papel" em caracteres; o excesso fica visível além da borda
+    receiptPreview.style.width = `${result.width}ch`;
+
+    for (const line of result.lines) {
+      const row = document.createElement('div');
+      if (line.bold) row.classList.add('preview-bold');
+      if (line.size === 'double') row.classList.add('preview-double');
+      if (line.invert) row.classList.add('preview-invert');
+
+      row.appendChild(document.createTextNode(line.text.substring(0, result.width) || ' '));
+
+      if (line.overflow) {
+        const overflow = document.createElement('span');
+        overflow.className = 'preview-overflow';
+        overflow.textContent = line.text.substring(result.width);
+        row.appendChild(overflow);
+      }
+
+      receiptPreview.appendChild(row);
+    }
+
+    const overflowCount = result.lines.filter(line => line.overflow).length;
+    previewSummary.textContent = `${result.lines.length} linhas, largura de ${result.width} caracteres` +
+      (overflowCount > 0 ? ` - ${overflowCount} linha(s) ultrapassam a largura` : '');
+  } catch (error) {
+    console.error('Erro ao gerar pré-visualização do recibo:', error);
+  }
+}
+
+// Agenda a atualização da pré-visualização enquanto o usuário digita
+function scheduleReceiptPreview() {
+  clearTimeout(previewTimer);
+  previewTimer = setTimeout(updateReceiptPreview, 300);
+}
+
+// Mostra um pedido do Log de Pedidos na pré-visualização
+function showOrderPreview(order) {
+  previewedOrder = order;
+  previewOrderLabel.textContent = `Pedido #${order.id}`;
+
+  document.querySelector('.tab[data-tab="config"]').click();
+  updateReceiptPreview().then(() => {
+    receiptPreview.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  });
+}
+
+previewTestOrderButton.addEventListener('click', () => {
+  previewedOrder = null;
+  previewOrderLabel.textContent = 'Pedido de teste';
+  updateReceiptPreview();
+});
+
+printWidthInput.addEventListener('input', scheduleReceiptPreview);
+receiptTemplateInput.addEventListener('input', scheduleReceiptPreview);
+pixKeyInput.addEventListener('input', scheduleReceiptPreview);
+pixMerchantNameInput.addEventListener('input', scheduleReceiptPreview);
+pixCityInput.addEventListener('input', scheduleReceiptPreview);
+deliveryFieldsInput.addEventListener('input', scheduleReceiptPreview);
+itemMetaFilterInput.addEventListener('input', scheduleReceiptPreview);
+
+// Seleciona o logotipo do recibo (aplicado ao salvar)
+selectLogoButton.addEventListener('click', async () => {
+  const result = await window.electronAPI.selectLogo();
+
+  if (result.success) {
+    logoPath = result.logoPath;
+    logoName.textContent = `${result.name} (${result.width}x${result.height} pontos)`;
+    showNotification('info', 'Logotipo carregado. Clique em "Salvar Configurações" para aplicar.');
+  } else if (!result.canceled) {
+    showNotification('error', `Erro ao carregar o logotipo: ${result.message}`);
+  }
+});
+
+removeLogoButton.addEventListener('click', () => {
+  logoPath = '';
+  logoName.textContent = 'Nenhum logotipo selecionado';
+  showNotification('info', 'Logotipo removido. Clique em "Salvar Configurações" para aplicar.');
+});
+
+// Guarda o conteúdo do editor como modelo da via; modelo igual ao padrão não é salvo,
+// para acompanhar as atualizações do layout padrão
+function storeEditedTemplate() {
+  const value = receiptTemplateInput.value;
+  copyTemplates[editingCopyType] = value === defaultTemplates[editingCopyType] ? '' : value;
+}
+
+// Troca a via exibida no editor de modelo
+templateCopySelect.addEventListener('change', () => {
+  storeEditedTemplate();
+  editingCopyType = templateCopySelect.value;
+  loadTemplateEditor();
+});
+
+// Status padrão do WooCommerce, exibidos até carregar os status da loja
+let storeOrderStatuses = [
+  { slug: 'pending', name: 'Pagamento pendente', total: null },
+  { slug: 'processing', name: 'Processando', total: null },
+  { slug: 'on-hold', name: 'Aguardando', total: null },
+  { slug: 'completed', name: 'Concluído', total: null },
+  { slug: 'cancelled', name: 'Cancelado', total: null },
+  { slug: 'refunded', name: 'Reembolsado', total: null },
+  { slug: 'failed', name: 'Malsucedido', total: null }
+];
+
+// Preenche a tabela de status monitorados (sem configuração: só "processing", com impressão)
+function renderOrderStatuses(orderStatuses) {
+  const watched = orderStatuses && Object.keys(orderStatuses).length > 0 ? orderStatuses : { processing: { print: true } };
+  const tbody = orderStatusesTable.querySelector('tbody');
+
+  // Status configurados que a loja não informou (ex: plugin removido) continuam na lista
+  const statuses = [...storeOrderStatuses];
+  Object.keys(watched).forEach(slug => {
+    if (!statuses.some(status => status.slug === slug)) {
+      statuses.push({ slug, name: slug, total: null });
+    }
+  });
+
+  tbody.innerHTML = '';
+  statuses.forEach(status => {
+    const row = document.createElement('tr');
+    row.dataset.status = status.slug;
+
+    const nameCell = document.createElement('td');
+    nameCell.textContent = `${status.name} (${status.slug})`;
+
+    const watchCheckbox = document.createElement('input');
+    watchCheckbox.type = 'checkbox';
+    watchCheckbox.className = 'status-watch';
+    watchCheckbox.checked = Boolean(watched[status.slug]);
+
+    const printCheckbox = document.createElement('input');
+    printCheckbox.type = 'checkbox';
+    printCheckbox.className = 'status-print';
+    printCheckbox.checked = Boolean(watched[status.slug] && watched[status.slug].print);
+
+    // Imprimir exige monitorar o status
+    watchCheckbox.addEventListener('change', () => {
+      if (!watchCheckbox.checked) printCheckbox.checked = false;
+    });
+    printCheckbox.addEventListener('change', () => {
+      if (printCheckbox.checked) watchCheckbox.checked = true;
+    });
+
+    const watchCell = document.createElement('td');
+    watchCell.appendChild(watchCheckbox);
+    const printCell = document.createElement('td');
+    printCell.appendChild(printCheckbox);
+    const totalCell = document.createElement('td');
+    totalCell.textContent = status.total === null ? '-' : status.total;
+
+    row.append(nameCell, watchCell, printCell, totalCell);
+    tbody.appendChild(row);
+  });
+}
+
+// Monta a configuração dos status monitorados a partir da tabela
+function getOrderStatusesConfig() {
+  const orderStatuses = {};
+
+  orderStatusesTable.querySelectorAll('tbody tr').forEach(row => {
+    if (row.querySelector('.status-watch').checked) {
+      orderStatuses[row.dataset.status] = { print: row.querySelector('.status-print').checked };
+    }
+  });
+
+  return orderStatuses;
+}
+
+// Carrega os status da loja, incluindo os personalizados, mantendo as marcações atuais
+loadOrderStatusesButton.addEventListener('click', async () => {
+  const current = getOrderStatusesConfig();
+  showNotification('info', 'Buscando status de pedido da loja...');
+
+  const result = await window.electronAPI.listOrderStatuses();
+  if (result.success) {
+    storeOrderStatuses = result.statuses;
+    renderOrderStatuses(current);
+    showNotification('success', `${result.statuses.length} status de pedido carregados`);
+  } else {
+    showNotification('error', `Não foi possível carregar os status: ${result.message}`);
+  }
+});
+
+renderOrderStatuses({});
+
+// Preenche as vias de impressão com a configuração salva (sem configuração: só a via do cliente)
+function loadPrintCopies(printCopies) {
+  const copies = printCopies && Object.keys(printCopies).length > 0 ? printCopies : { customer: { enabled: true } };
+
+  copyRows.forEach(row => {
+    const copy = copies[row.dataset.copyType] || {};
+    row.querySelector('.copy-enabled').checked = Boolean(copy.enabled);
+    row.querySelector('.copy-count').value = copy.count || 1;
+    row.querySelector('.copy-printer').dataset.printerId = copy.printerId || '';
+    row.querySelector('.copy-printer').value = copy.printerId || '';
+  });
+}
+
+// Monta a configuração das vias de impressão a partir da tabela e dos modelos editados
+function getPrintCopiesConfig() {
+  const printCopies = {};
+
+  copyRows.forEach(row => {
+    const type = row.dataset.copyType;
+    printCopies[type] = {
+      enabled: row.querySelector('.copy-enabled').checked,
+      count: parseInt(row.querySelector('.copy-count').value) || 1,
+      printerId: row.querySelector('.copy-printer').value,
+      // O modelo da via do cliente é salvo em receiptTemplate
+      template: type === 'customer' ? '' : copyTemplates[type]
+    };
+  });
+
+  return printCopies;
+}
+
+// Restaura o modelo padrão no editor (aplicado ao salvar)
+restoreTemplateButton.addEventListener('click', () => {
+  receiptTemplateInput.value = defaultTemplates[editingCopyType];
+  showNotification('info', 'Modelo padrão restaurado. Clique em "Salvar Modelo" para aplicar.');
+});
+
+// O modelo é salvo junto com as demais configurações
+saveTemplateButton.addEventListener('click', () => {
+  saveConfigButton.click();
+});
+
+// Preenche o seletor de impressoras mantendo a seleção atual quando possível
+function populatePrinterSelect(printers) {
+  const selectedPrinter = printerSelect.value || printerId;
   printerSelect.innerHTML = '';
 
   if (!printers || printers.length === 0) {
@@ -671,33 +1283,167 @@ window.electronAPI.onPrintersList((printers) => {
   printers.forEach(printer => {
     const option = document.createElement('option');
     option.value = printer.name;
-    option.textContent = printer.name;
+    option.textContent = printer.label || printer.name;
     printerSelect.appendChild(option);
   });
+
+  if (selectedPrinter) {
+    printerSelect.value = selectedPrinter;
+  }
+
+  // Impressoras das vias: vazio usa a impressora principal
+  copyRows.forEach(row => {
+    const select = row.querySelector('.copy-printer');
+    const selected = select.value || select.dataset.printerId || '';
+    select.innerHTML = '';
+
+    const mainOption = document.createElement('option');
+    mainOption.value = '';
+    mainOption.textContent = 'Impressora principal';
+    select.appendChild(mainOption);
+
+    printers.forEach(printer => {
+      const option = document.createElement('option');
+      option.value = printer.name;
+      option.textContent = printer.label || printer.name;
+      select.appendChild(option);
+    });
+
+    select.value = selected;
+  });
+
+  updateCharsetSelect();
+}
+
+// Mostra a codificação configurada para a impressora selecionada
+function updateCharsetSelect() {
+  printerCharsetSelect.value = printerCharsets[printerSelect.value] || '';
+}
+
+printerSelect.addEventListener('change', updateCharsetSelect);
+
+// Mostra apenas os campos de credenciais do modo de autenticação escolhido
+function updateAuthFields() {
+  document.querySelectorAll('[data-auth-modes]').forEach(field => {
+    field.style.display = field.dataset.authModes.split(' ').includes(authModeSelect.value) ? '' : 'none';
+  });
+}
+
+authModeSelect.addEventListener('change', updateAuthFields);
+updateAuthFields();
+
+// Verifica a URL e as credenciais do modo de autenticação escolhido
+function getCredentialsError() {
+  if (!apiUrlInput.value) {
+    return 'URL da loja é obrigatória';
+  }
+
+  switch (authModeSelect.value) {
+    case 'wc_keys':
+      return !consumerKeyInput.value || !consumerSecretInput.value
+        ? 'Informe a chave e o segredo do consumidor da API do WooCommerce'
+        : '';
+    case 'app_password':
+      return !usernameInput.value || !appPasswordInput.value
+        ? 'Informe o nome de usuário e a senha de aplicativo'
+        : '';
+    default:
+      return !usernameInput.value || !passwordInput.value
+        ? 'Informe o nome de usuário e a senha'
+        : '';
+  }
+}
+
+// Guarda a codificação escolhida para a impressora selecionada (aplicada ao salvar)
+printerCharsetSelect.addEventListener('change', () => {
+  if (!printerSelect.value) {
+    return;
+  }
+
+  if (printerCharsetSelect.value) {
+    printerCharsets[printerSelect.value] = printerCharsetSelect.value;
+  } else {
+    delete printerCharsets[printerSelect.value];
+  }
+});
+
+// Carrega a lista de impressoras
+window.electronAPI.onPrintersList((printers) => {
+  populatePrinterSelect(printers);
 });
 
 // Carrega as configurações salvas
 window.electronAPI.onLoadConfig((config) => {
   if (config) {
     apiUrlInput.value = config.apiUrl || '';
+    // Configurações anteriores à escolha do modo usam usuário e senha do WordPress
+    authModeSelect.value = config.authMode || 'password';
     usernameInput.value = config.username || '';
     passwordInput.value = config.password || '';
+    appPasswordInput.value = config.appPassword || '';
+    consumerKeyInput.value = config.consumerKey || '';
+    consumerSecretInput.value = config.consumerSecret || '';
+    updateAuthFields();
     vendorIdInput.value = config.vendorId || '';
     checkIntervalInput.value = config.checkInterval || '60';
+    webhookEnabledCheckbox.checked = config.webhookEnabled || false;
+    webhookPortInput.value = config.webhookPort || '8787';
+    webhookSecretInput.value = config.webhookSecret || '';
     autostartCheckbox.checked = config.autostart || false;
+    printModeSelect.value = config.printMode || 'text';
+    networkPrintersInput.value = config.networkPrinters || '';
+    printerBackendSelect.value = config.printerBackend || 'auto';
+    printFolderInput.value = config.printFolder || '';
+    pixKeyInput.value = config.pixKey || '';
+    pixMerchantNameInput.value = config.pixMerchantName || '';
+    pixCityInput.value = config.pixCity || '';
+    deliveryFieldsInput.value = config.deliveryFields || '';
+    itemRoutesInput.value = config.itemRoutes || '';
+    printRulesInput.value = config.printRules || '';
+    fallbackPrintersInput.value = config.fallbackPrinters || '';
+    failoverAttemptsInput.value = config.failoverAttempts || 2;
+    printerHealthCheckCheckbox.checked = config.printerHealthCheck || false;
+    updateDeliveryColumns(config.deliveryFields);
+    itemMetaFilterInput.value = config.itemMetaFilter || '';
+    logoPath = config.logoPath || '';
+    logoName.textContent = logoPath ? 'Logotipo configurado' : 'Nenhum logotipo selecionado';
+    printWidthInput.value = config.printWidth || 48;
+    printerCharsets = config.printerCharsets || {};
+    copyTemplates = {
+      customer: config.receiptTemplate || '',
+      kitchen: (config.printCopies && config.printCopies.kitchen && config.printCopies.kitchen.template) || '',
+      courier: (config.printCopies && config.printCopies.courier && config.printCopies.courier.template) || ''
+    };
+    loadPrintCopies(config.printCopies);
+    loadTemplateEditor();
+    renderOrderStatuses(config.orderStatuses);
 
     // Seleciona a impressora se estiver definida
     if (config.printerId) {
       printerId = config.printerId;
       setTimeout(() => {
         printerSelect.value = config.printerId;
+        updateCharsetSelect();
       }, 500); // Pequeno delay para garantir que as impressoras já foram carregadas
     }
   }
 });
 
+// Atualiza a fila de impressão a cada mudança nos trabalhos
+window.electronAPI.onPrintQueueUpdated((jobs) => {
+  renderPrintQueue(jobs);
+});
+
+// Atualiza o indicador quando o estado de alguma impressora muda
+window.electronAPI.onPrinterHealth((health) => {
+  updatePrinterHealth(health);
+});
+
 // Carrega o histórico de pedidos
 window.electronAPI.onLoadOrderHistory((orderHistory) => {
+  loadPrintQueue();
+  loadPrinterHealth();
+
   // Se não houver pedidos, não faz nada
   if (!orderHistory || orderHistory.length === 0) {
     return;
@@ -740,7 +1486,7 @@ window.electronAPI.onNotification((notification) => {
     const row = document.getElementById(`order-row-${notification.orderId}`);
     if (row) {
       const statusCell = row.querySelector('.print-status-cell');
-      updatePrintStatus(statusCell, notification.printStatus);
+      updatePrintStatus(statusCell, notification.printStatus, notification.printers);
     }
   }
 });
@@ -769,18 +1515,9 @@ window.electronAPI.onMonitoringStatus((status) => {
 saveConfigButton.addEventListener('click', async () => {
   try {
     // Valida as entradas
-    if (!apiUrlInput.value) {
-      showNotification('error', 'URL da loja é obrigatória');
-      return;
-    }
-
-    if (!usernameInput.value) {
-      showNotification('error', 'Nome de usuário é obrigatório');
-      return;
-    }
-
-    if (!passwordInput.value) {
-      showNotification('error', 'Senha é obrigatória');
+    const credentialsError = getCredentialsError();
+    if (credentialsError) {
+      showNotification('error', credentialsError);
       return;
     }
 
@@ -798,16 +1535,59 @@ saveConfigButton.addEventListener('click', async () => {
       return;
     }
 
+    // O webhook só aceita entregas assinadas com o segredo
+    const webhookPort = parseInt(webhookPortInput.value) || 8787;
+    if (webhookEnabledCheckbox.checked && (!webhookSecretInput.value.trim() || webhookPort < 1 || webhookPort > 65535)) {
+      showNotification('error', 'Para receber pedidos por webhook informe o segredo e uma porta entre 1 e 65535');
+      return;
+    }
+
+    // Sem nenhum status de impressão, nenhum pedido seria impresso
+    const orderStatuses = getOrderStatusesConfig();
+    if (!Object.values(orderStatuses).some(status => status.print)) {
+      showNotification('error', 'Marque "Imprimir" em ao menos um status de pedido');
+      return;
+    }
+
+    // O modelo aberto no editor entra junto com os das outras vias
+    storeEditedTemplate();
+
     // Prepara o objeto de configuração com apenas dados básicos
     const config = {
       apiUrl: apiUrlInput.value.trim(),
+      authMode: authModeSelect.value,
       username: usernameInput.value.trim(),
       password: passwordInput.value.trim(),
+      appPassword: appPasswordInput.value.trim(),
+      consumerKey: consumerKeyInput.value.trim(),
+      consumerSecret: consumerSecretInput.value.trim(),
       vendorId: vendorIdInput.value.trim(),
       checkInterval: checkInterval,
+      webhookEnabled: webhookEnabledCheckbox.checked,
+      webhookPort: webhookPort,
+      webhookSecret: webhookSecretInput.value.trim(),
+      orderStatuses: orderStatuses,
       printerId: printerSelect.value,
       autostart: autostartCheckbox.checked,
-      printWidth: parseInt(document.getElementById('printWidth').value) || 48
+      printWidth: parseInt(printWidthInput.value) || 48,
+      printMode: printModeSelect.value,
+      networkPrinters: networkPrintersInput.value,
+      printerBackend: printerBackendSelect.value,
+      printFolder: printFolderInput.value.trim(),
+      pixKey: pixKeyInput.value.trim(),
+      pixMerchantName: pixMerchantNameInput.value.trim(),
+      pixCity: pixCityInput.value.trim(),
+      deliveryFields: deliveryFieldsInput.value,
+      itemRoutes: itemRoutesInput.value,
+      printRules: printRulesInput.value,
+      fallbackPrinters: fallbackPrintersInput.value,
+      failoverAttempts: parseInt(failoverAttemptsInput.value) || 2,
+      printerHealthCheck: printerHealthCheckCheckbox.checked,
+      itemMetaFilter: itemMetaFilterInput.value,
+      logoPath: logoPath,
+      receiptTemplate: copyTemplates.customer,
+      printCopies: getPrintCopiesConfig(),
+      printerCharsets: { ...printerCharsets }
     };
 
     try {
@@ -831,6 +1611,13 @@ saveConfigButton.addEventListener('click', async () => {
         } else {
           showNotification('success', 'Configurações salvas com sucesso');
         }
+
+        // Atualiza as colunas de entrega do Log de Pedidos
+        updateDeliveryColumns(config.deliveryFields);
+
+        // Atualiza a lista de impressoras (impressoras de rede ou sistema de impressão alterados)
+        printerId = config.printerId;
+        populatePrinterSelect(await window.electronAPI.getPrinters());
       }
     } catch (error) {
       // Se ocorrer o erro de clonagem, tente diagnosticar o problema
@@ -848,13 +1635,39 @@ saveConfigButton.addEventListener('click', async () => {
             // Cria um objeto limpo
             const cleanConfig = {
               apiUrl: config.apiUrl,
+              authMode: config.authMode,
               username: config.username,
               password: config.password,
+              appPassword: config.appPassword,
+              consumerKey: config.consumerKey,
+              consumerSecret: config.consumerSecret,
               vendorId: config.vendorId,
               checkInterval: config.checkInterval,
+              webhookEnabled: config.webhookEnabled,
+              webhookPort: config.webhookPort,
+              webhookSecret: config.webhookSecret,
+              orderStatuses: config.orderStatuses,
               printerId: config.printerId,
               autostart: config.autostart,
-              printWidth: config.printWidth
+              printWidth: config.printWidth,
+              printMode: config.printMode,
+              networkPrinters: config.networkPrinters,
+              printerBackend: config.printerBackend,
+              printFolder: config.printFolder,
+              pixKey: config.pixKey,
+              pixMerchantName: config.pixMerchantName,
+              pixCity: config.pixCity,
+              deliveryFields: config.deliveryFields,
+              itemRoutes: config.itemRoutes,
+              printRules: config.printRules,
+              fallbackPrinters: config.fallbackPrinters,
+              failoverAttempts: config.failoverAttempts,
+              printerHealthCheck: config.printerHealthCheck,
+              itemMetaFilter: config.itemMetaFilter,
+              logoPath: config.logoPath,
+              receiptTemplate: config.receiptTemplate,
+              printerCharsets: config.printerCharsets,
+              printCopies: config.printCopies
             };
 
             const secondAttempt = await window.electronAPI.saveConfig(cleanConfig);
@@ -920,48 +1733,14 @@ testPrintButton.addEventListener('click', async () => {
   }
 
   // Cria um pedido de teste
-  const testOrder = {
-    id: 'TESTE-' + Date.now(),
-    date_created: new Date().toISOString(),
-    status: 'processing',
-    payment_method_title: 'Pagamento via PIX',
-    payment_method: 'pix',
-    total: '99.99',
-    billing: {
-      first_name: 'Cliente',
-      last_name: 'Teste',
-      address_1: 'Rua de Teste, 123',
-      city: 'Cidade Teste',
-      state: 'TE',
-      postcode: '12345-678',
-      country: 'BR',
-      email: 'cliente@teste.com',
-      phone: '(99) 99999-9999'
-    },
-    line_items: [
-      {
-        name: 'Produto Teste 1',
-        quantity: 2,
-        price: '29.99',
-        subtotal: '59.98',
-        sku: '0005'
-      },
-      {
-        name: 'Produto Teste 2',
-        quantity: 1,
-        price: '39.99',
-        subtotal: '39.99',
-        sku: '1115'
-      }
-    ]
-  };
+  const testOrder = createTestOrder();
 
   try {
     // Adiciona o pedido à tabela com status pendente
     addOrderToTable(testOrder, 'pending');
 
-    // Envia o pedido de teste para impressão
-    await window.electronAPI.testPrint(testOrder, printerSelect.value);
+    // Envia o pedido de teste para impressão, com a amostra de caracteres da codificação
+    await window.electronAPI.testPrint(testOrder, printerSelect.value, { charsetSample: true });
 
     // A atualização do status será feita pelo event listener onPrintResult
     showNotification('success', 'Teste de impressão enviado com sucesso');
@@ -983,10 +1762,12 @@ refreshOrdersButton.addEventListener('click', async () => {
     // Salva o termo de busca atual
     const currentSearchTerm = orderSearchInput.value;
 
+    loadPrintQueue();
+
     // Limpa a tabela
     const tbody = ordersTable.querySelector('tbody');
     if (tbody) {
-      tbody.innerHTML = '<tr><td colspan="7" class="empty-table">Carregando pedidos...</td></tr>';
+      tbody.innerHTML = `<tr><td colspan="${getOrderColumnCount()}" class="empty-table">Carregando pedidos...</td></tr>`;
     }
 
     // Solicita o histórico de pedidos novamente
@@ -1003,7 +1784,7 @@ refreshOrdersButton.addEventListener('click', async () => {
     // Se não houver pedidos, exibe a mensagem vazia
     if (!orderHistory || orderHistory.length === 0) {
       if (tbody) {
-        tbody.innerHTML = '<tr><td colspan="7" class="empty-table">Nenhum pedido processado ainda.</td></tr>';
+        tbody.innerHTML = `<tr><td colspan="${getOrderColumnCount()}" class="empty-table">Nenhum pedido processado ainda.</td></tr>`;
       }
       return;
     }
@@ -8,7 +8,7 @@ async function getOrderDetails(config, orderId) {
   try {
     logger.info(`Obtendo detalhes do pedido #${orderId}`);
     
-    if (!config || !config.apiUrl || !config.username || !config.password) {
+    if (!hasApiCredentials(config)) {
       throw new Error('Configurações incompletas para obter detalhes do pedido');
     }
     
@@ -16,18 +16,14 @@ async function getOrderDetails(config, orderId) {
       throw new Error('ID do pedido é obrigatório');
     }
     
-    // Cria o token de autenticação
-    const token = Buffer.from(`${config.username}:${config.password}`, 'utf8').toString('base64');
+    // Cliente autenticado conforme o modo configurado
+    const client = createApiClient(config);
     
     // URL da API
     const url = `${config.apiUrl}/wp-json/wc/v3/orders/${orderId}`;
     
     // Faz a requisição para obter detalhes do pedido
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': `Basic ${token}`
-      }
-    });
+    const response = await client.get(url);
     
     // Verifica se obteve uma resposta válida
     if (!response.data || !response.data.id) {
@@ -65,8 +61,13 @@ module.exports = {
   getVendorIdFromCredentials,
   loadProcessedOrdersState,
   saveProcessedOrdersState,
+  resetOrderCheckpoint,
   getWooCommerceOrders,
   getDokanOrders,
+  getOrderStatuses,
+  getStatusParam,
+  getProductsInfo,
+  attachProductInfo,
   orderBelongsToVendor,
   verifyOrdersBelongToVendor,
   getAllOrdersAndFilter
@@ -74,28 +75,26 @@ module.exports = {
  * Obtém pedidos do WooCommerce
  * @param {Object} config - Configurações da API
  * @param {Object} params - Parâmetros da consulta
+ * @param {Object} options - Opções da paginação ({modifiedAfter}, ver getOrderPages)
  * @returns {Array} Lista de pedidos
  */
-async function getWooCommerceOrders(config, params = {}) {
+async function getWooCommerceOrders(config, params = {}, options = {}) {
   try {
     // Registra os parâmetros para debug
     logger.info(`Buscando pedidos com parâmetros: ${JSON.stringify(params)}`);
 
     const url = `${config.apiUrl}/wp-json/wc/v3/orders`;
-    const token = Buffer.from(`${config.username}:${config.password}`, 'utf8').toString('base64');
+    const client = createApiClient(config);
 
     // Primeira tentativa: Usar os parâmetros fornecidos
     try {
-      const response = await axios.get(url, {
-        params: params,
-        headers: {
-          'Authorization': `Basic ${token}`
-        }
-      });
+      const orders = await getOrderPages(client, url, {
+        params: params
+      }, options);
 
-      if (response.data && response.data.length > 0) {
-        logger.info(`Sucesso! Encontrados ${response.data.length} pedidos`);
-        return response.data;
+      if (orders.length > 0) {
+        logger.info(`Sucesso! Encontrados ${orders.length} pedidos`);
+        return orders;
       } else {
         logger.warn('API retornou array vazio. Tentando método alternativo...');
       }
@@ -108,7 +107,7 @@ async function getWooCommerceOrders(config, params = {}) {
       try {
         logger.info('Tentando com meta_query estruturado...');
         const metaParams = {
-          status: 'processing',
+          status: getStatusParam(config),
           per_page: 20,
           meta_query: [
             {
@@ -119,10 +118,9 @@ async function getWooCommerceOrders(config, params = {}) {
           ]
         };
 
-        const response = await axios.get(url, {
+        const orders = await getOrderPages(client, url, {
           params: metaParams,
           headers: {
-            'Authorization': `Basic ${token}`,
             'Content-Type': 'application/json'
           },
           paramsSerializer: params => {
@@ -135,11 +133,11 @@ async function getWooCommerceOrders(config, params = {}) {
               })
               .join('&');
           }
-        });
+        }, options);
 
-        if (response.data && response.data.length > 0) {
-          logger.info(`Sucesso com meta_query! Encontrados ${response.data.length} pedidos`);
-          return response.data;
+        if (orders.length > 0) {
+          logger.info(`Sucesso com meta_query! Encontrados ${orders.length} pedidos`);
+          return orders;
         } else {
           logger.warn('API retornou array vazio com meta_query.');
         }
@@ -151,21 +149,18 @@ async function getWooCommerceOrders(config, params = {}) {
     // Terceira tentativa: Buscar todos os pedidos e filtrar manualmente
     try {
       logger.info('Tentando buscar todos os pedidos e filtrar...');
-      const response = await axios.get(url, {
+      const allOrders = await getOrderPages(client, url, {
         params: {
-          status: 'processing',
+          status: getStatusParam(config),
           per_page: 50 // Aumentamos o limite para ter mais chances de encontrar pedidos do vendedor
-        },
-        headers: {
-          'Authorization': `Basic ${token}`
         }
-      });
+      }, options);
 
-      if (response.data && response.data.length > 0) {
-        logger.info(`Obtidos ${response.data.length} pedidos no total, filtrando para o vendedor ${config.vendorId}`);
+      if (allOrders.length > 0) {
+        logger.info(`Obtidos ${allOrders.length} pedidos no total, filtrando para o vendedor ${config.vendorId}`);
 
         // Filtra os pedidos pelo vendedor ID nos metadados
-        const vendorOrders = response.data.filter(order => {
+        const vendorOrders = allOrders.filter(order => {
           if (!order.meta_data || !Array.isArray(order.meta_data)) {
             return false;
           }
@@ -194,11 +189,12 @@ async function getWooCommerceOrders(config, params = {}) {
     }
     throw error;
   }
-}const axios = require('axios');
-const winston = require('winston');
+}const winston = require('winston');
 
 const fs = require('fs');
 const path = require('path');
+const { startWebhookServer, stopWebhookServer } = require('./webhook');
+const { hasApiCredentials, createApiClient } = require('./auth');
 
 // Função para salvar o estado dos pedidos processados
 function saveProcessedOrdersState() {
@@ -215,9 +211,10 @@ function saveProcessedOrdersState() {
     // Converte o Set para Array para armazenamento
     const processedOrders = Array.from(global.processedOrders || []);
     
-    // Salva no arquivo
+    // Salva no arquivo, junto com o ponto de verificação da consulta incremental
     fs.writeFileSync(stateFile, JSON.stringify({
       orders: processedOrders,
+      lastOrderModified: lastOrderTimestamp ? new Date(lastOrderTimestamp).toISOString() : null,
       lastUpdate: new Date().toISOString()
     }));
     
@@ -239,6 +236,7 @@ function loadProcessedOrdersState() {
     if (!fs.existsSync(stateFile)) {
       logger.info('Arquivo de estado não encontrado. Criando novo registro.');
       global.processedOrders = new Set();
+      lastOrderTimestamp = null;
       return true;
     }
     
@@ -247,12 +245,14 @@ function loadProcessedOrdersState() {
     
     // Converte a lista de volta para Set
     global.processedOrders = new Set(data.orders);
+    lastOrderTimestamp = Date.parse(data.lastOrderModified) || null;
     
     logger.info(`Estado de ${global.processedOrders.size} pedidos processados carregado. Última atualização: ${data.lastUpdate}`);
     return true;
   } catch (error) {
     logger.error(`Erro ao carregar estado de pedidos processados: ${error.message}`);
     global.processedOrders = new Set();
+    lastOrderTimestamp = null;
     return false;
   }
 }
@@ -275,7 +275,195 @@ const logger = winston.createLogger({
 // Variáveis globais
 let isListening = false;
 let intervalId = null;
-let lastOrderTimestamp = null;
+let lastOrderTimestamp = null; // Maior date_modified_gmt (ms) dos pedidos já consultados
+
+// Cache dos produtos (categorias, tags e SKU) usados no roteamento de itens entre impressoras
+const productCache = new Map();
+const PRODUCT_CACHE_TTL = 60 * 60 * 1000; // 1 hora
+const PRODUCTS_PER_REQUEST = 100; // Limite de per_page da API do WooCommerce
+
+// Com o webhook ativo, a consulta periódica só recupera entregas perdidas e pode ser mais espaçada
+const WEBHOOK_POLL_INTERVAL = 300; // segundos
+
+// Limite de páginas lidas por consulta de pedidos, para não sobrecarregar a loja
+const MAX_ORDER_PAGES = 10;
+
+// Status monitorados quando não configurados: apenas pedidos em processamento, que são impressos
+const DEFAULT_ORDER_STATUSES = { processing: { print: true } };
+
+// Pedidos já avisados em um status monitorado sem impressão (id -> status), para não repetir o aviso a cada consulta.
+// Saem ao serem impressos ou ao deixarem os status monitorados; acima do limite, os mais antigos são descartados
+const waitingOrders = new Map();
+const MAX_WAITING_ORDERS = 500;
+
+/**
+ * Obtém os status monitorados e se cada um dispara a impressão
+ * @param {Object} config - Configurações do aplicativo (orderStatuses)
+ * @returns {Object<string, {print: boolean}>} Status monitorados pelo slug (ex: processing, on-hold)
+ */
+function getWatchedStatuses(config) {
+  return config.orderStatuses && Object.keys(config.orderStatuses).length > 0
+    ? config.orderStatuses
+    : DEFAULT_ORDER_STATUSES;
+}
+
+/**
+ * Monta o parâmetro status das consultas de pedidos
+ * @param {Object} config - Configurações do aplicativo (orderStatuses)
+ * @returns {string} Status monitorados separados por vírgula
+ */
+function getStatusParam(config) {
+  return Object.keys(getWatchedStatuses(config)).join(',');
+}
+
+/**
+ * Verifica se chegar ao status dispara a impressão do pedido
+ * @param {Object} config - Configurações do aplicativo (orderStatuses)
+ * @param {string} status - Status do pedido
+ * @returns {boolean} True se o pedido deve ser impresso nesse status
+ */
+function isPrintStatus(config, status) {
+  const watched = getWatchedStatuses(config)[status];
+  return Boolean(watched && watched.print);
+}
+
+// A consulta incremental volta um pouco antes do ponto de verificação, para não perder pedidos gravados
+// com data de alteração ligeiramente anterior (relógios e transações concorrentes no servidor)
+const MODIFIED_OVERLAP = 2 * 60 * 1000;
+
+/**
+ * Obtém a data da última alteração do pedido em milissegundos (UTC)
+ * @param {Object} order - Dados do pedido
+ * @returns {number} Data de alteração (ou de criação), ou NaN se o pedido não informar
+ */
+function getOrderModifiedTime(order) {
+  if (order.date_modified_gmt) {
+    return Date.parse(`${order.date_modified_gmt}Z`);
+  }
+  if (order.date_created_gmt) {
+    return Date.parse(`${order.date_created_gmt}Z`);
+  }
+  return Date.parse(order.date_modified || order.date_created);
+}
+
+/**
+ * Zera o ponto de verificação: a próxima consulta volta a trazer todos os pedidos em processamento
+ */
+function resetOrderCheckpoint() {
+  lastOrderTimestamp = null;
+}
+
+/**
+ * Verifica pelos cabeçalhos da resposta se há uma próxima página
+ * @param {Object} headers - Cabeçalhos da resposta (X-WP-TotalPages e Link)
+ * @param {number} page - Página lida
+ * @returns {boolean} True se existe a página seguinte
+ */
+function hasNextPage(headers, page) {
+  const totalPages = parseInt(headers['x-wp-totalpages']);
+  if (!isNaN(totalPages)) {
+    return page < totalPages;
+  }
+
+  return /rel="?next"?/.test(headers.link || '');
+}
+
+/**
+ * Lê as páginas de uma consulta de pedidos até a última página ou o limite MAX_ORDER_PAGES
+ * @param {import('axios').AxiosInstance} client - Cliente autenticado (ver createApiClient em src/auth.js)
+ * @param {string} url - Endpoint de pedidos
+ * @param {Object} requestOptions - Opções do axios (params, headers, paramsSerializer)
+ * @param {Function} shouldStop - Recebe os pedidos de cada página; true interrompe a leitura
+ * @returns {Promise<{orders: Array, truncated: boolean}>} Pedidos lidos e se o limite de páginas cortou a leitura
+ */
+async function readOrderPages(client, url, requestOptions, shouldStop) {
+  const orders = [];
+
+  for (let page = 1; page <= MAX_ORDER_PAGES; page++) {
+    const response = await client.get(url, {
+      ...requestOptions,
+      params: { ...requestOptions.params, page }
+    });
+
+    const pageOrders = Array.isArray(response.data) ? response.data : [];
+    orders.push(...pageOrders);
+
+    if (pageOrders.length === 0 || !hasNextPage(response.headers || {}, page) || shouldStop(pageOrders, page)) {
+      return { orders, truncated: false };
+    }
+  }
+
+  return { orders, truncated: true };
+}
+
+/**
+ * Busca pedidos página por página
+ * Sem ponto de verificação, lê os pedidos mais recentes primeiro. Com options.modifiedAfter, pede apenas os
+ * pedidos alterados depois dessa data (modified_after, WooCommerce 5.8+) em ordem de alteração, dos mais
+ * antigos para os mais novos: se o limite MAX_ORDER_PAGES cortar a leitura, a próxima consulta continua
+ * a partir do último pedido lido. Se a loja ignorar o filtro, lê por alteração dos mais novos para os mais
+ * antigos e para na primeira página que já traz pedidos anteriores ao ponto de verificação.
+ * Marca options.truncated quando o limite de páginas cortou a leitura
+ * @param {import('axios').AxiosInstance} client - Cliente autenticado (ver createApiClient em src/auth.js)
+ * @param {string} url - Endpoint de pedidos
+ * @param {Object} requestOptions - Opções do axios (params, headers, paramsSerializer)
+ * @param {Object} options - Opções da paginação ({modifiedAfter: data em milissegundos})
+ * @returns {Promise<Array>} Pedidos de todas as páginas lidas
+ */
+async function getOrderPages(client, url, requestOptions, options = {}) {
+  const { modifiedAfter } = options;
+  options.truncated = false;
+
+  if (!modifiedAfter) {
+    const result = await readOrderPages(client, url, requestOptions, () => false);
+    if (result.truncated) {
+      logger.warn(`Limite de ${MAX_ORDER_PAGES} páginas atingido ao buscar pedidos; os mais antigos não foram lidos`);
+      options.truncated = true;
+    }
+    return result.orders;
+  }
+
+  const isBeforeCheckpoint = order => getOrderModifiedTime(order) < modifiedAfter;
+  let filterIgnored = false;
+
+  const ascending = await readOrderPages(client, url, {
+    ...requestOptions,
+    params: {
+      ...requestOptions.params,
+      modified_after: new Date(modifiedAfter).toISOString(),
+      dates_are_gmt: true,
+      orderby: 'modified',
+      order: 'asc'
+    }
+  }, pageOrders => (filterIgnored = pageOrders.some(isBeforeCheckpoint)));
+
+  if (!filterIgnored) {
+    if (ascending.truncated) {
+      logger.warn(`Limite de ${MAX_ORDER_PAGES} páginas atingido ao buscar pedidos; os seguintes serão lidos na próxima verificação`);
+      options.truncated = true;
+    }
+    return ascending.orders;
+  }
+
+  // Loja sem o filtro modified_after: os mais antigos viriam primeiro, então lê a partir dos mais novos
+  logger.info('A loja ignorou o filtro modified_after; buscando pelos pedidos alterados mais recentemente');
+  const descending = await readOrderPages(client, url, {
+    ...requestOptions,
+    params: { ...requestOptions.params, orderby: 'modified', order: 'desc' }
+  }, (pageOrders, page) => {
+    const reachedCheckpoint = pageOrders.some(isBeforeCheckpoint);
+    if (reachedCheckpoint) {
+      logger.info(`Paginação interrompida na página ${page}: pedidos anteriores ao último ponto de verificação`);
+    }
+    return reachedCheckpoint;
+  });
+
+  if (descending.truncated) {
+    logger.warn(`Limite de ${MAX_ORDER_PAGES} páginas atingido ao buscar pedidos; os mais antigos não foram lidos`);
+    options.truncated = true;
+  }
+  return descending.orders;
+}
 
 /**
  * Função aprimorada para verificação rigorosa de segurança de pedidos
@@ -409,26 +597,23 @@ function verifyOrdersBelongToVendor(orders, vendorId) {
  */
 async function getVendorIdFromCredentials(config) {
   try {
-    if (!config.apiUrl || !config.username || !config.password) {
+    if (!hasApiCredentials(config)) {
       logger.warn('Credenciais incompletas para determinar o ID do vendedor');
       return '';
     }
 
     logger.info('Obtendo ID do vendedor a partir das credenciais');
 
-    // Cria um token básico para autenticação
-    const token = Buffer.from(`${config.username}:${config.password}`, 'utf8').toString('base64');
+    // Cliente autenticado conforme o modo configurado
+    const client = createApiClient(config);
 
     // Primeiro tenta acessar lista de vendedores para encontrar o vendedor correto
     try {
       logger.info('Tentando buscar lista completa de vendedores...');
       // Lista todos os vendedores
-      const vendorsResponse = await axios.get(`${config.apiUrl}/wp-json/dokan/v1/stores`, {
+      const vendorsResponse = await client.get(`${config.apiUrl}/wp-json/dokan/v1/stores`, {
         params: {
           per_page: 100 // Busca até 100 vendedores
-        },
-        headers: {
-          'Authorization': `Basic ${token}`
         }
       });
 
@@ -443,7 +628,7 @@ async function getVendorIdFromCredentials(config) {
         });
 
         // Verifica se o nome de usuário é um e-mail
-        const isEmail = config.username.includes('@');
+        const isEmail = Boolean(config.username) && config.username.includes('@');
         let matchedVendor = null;
 
         if (isEmail) {
@@ -465,7 +650,7 @@ async function getVendorIdFromCredentials(config) {
         // Se não encontrou por e-mail, tenta por nome da loja
         if (!matchedVendor) {
           matchedVendor = vendors.find(vendor =>
-            vendor.store_name && vendor.store_name.toLowerCase().includes(config.username.toLowerCase())
+            config.username && vendor.store_name && vendor.store_name.toLowerCase().includes(config.username.toLowerCase())
           );
         }
 
@@ -484,11 +669,7 @@ async function getVendorIdFromCredentials(config) {
     // Se não conseguiu pela API de vendedores, tenta a API de usuários
     try {
       logger.info('Tentando obter informação do usuário atual...');
-      const response = await axios.get(`${config.apiUrl}/wp-json/wp/v2/users/me`, {
-        headers: {
-          'Authorization': `Basic ${token}`
-        }
-      });
+      const response = await client.get(`${config.apiUrl}/wp-json/wp/v2/users/me`);
 
       if (response.data && response.data.id) {
         const userId = response.data.id;
@@ -497,12 +678,9 @@ async function getVendorIdFromCredentials(config) {
         // Verifica se este usuário é um vendedor
         try {
           logger.info(`Verificando se o usuário ${userId} é um vendedor...`);
-          const vendorStoreResponse = await axios.get(`${config.apiUrl}/wp-json/dokan/v1/stores`, {
+          const vendorStoreResponse = await client.get(`${config.apiUrl}/wp-json/dokan/v1/stores`, {
             params: {
               owner_id: userId
-            },
-            headers: {
-              'Authorization': `Basic ${token}`
             }
           });
 
@@ -528,12 +706,9 @@ async function getVendorIdFromCredentials(config) {
     // Método final: tentar buscar metadados de pedidos para identificar o vendedor
     try {
       logger.info('Tentando identificar vendedor por metadados de pedidos...');
-      const ordersResponse = await axios.get(`${config.apiUrl}/wp-json/wc/v3/orders`, {
+      const ordersResponse = await client.get(`${config.apiUrl}/wp-json/wc/v3/orders`, {
         params: {
           per_page: 10
-        },
-        headers: {
-          'Authorization': `Basic ${token}`
         }
       });
 
@@ -619,13 +794,28 @@ async function startOrderListener(config, callback) {
     global.processedOrders = new Set();
   }
 
-  logger.info(`Monitoramento iniciado para o vendedor ${config.vendorId} com intervalo de ${config.checkInterval} segundos`);
+  let checkInterval = config.checkInterval || 60;
+
+  // Webhook do WooCommerce: os pedidos chegam na hora e a consulta periódica fica como segurança
+  if (config.webhookEnabled) {
+    try {
+      await startWebhookServer(
+        { port: config.webhookPort, secret: config.webhookSecret },
+        (order, topic) => handleWebhookOrder(config, order, topic, callback)
+      );
+      checkInterval = Math.max(checkInterval, WEBHOOK_POLL_INTERVAL);
+    } catch (error) {
+      logger.error(`Webhook não iniciado, usando apenas a consulta periódica: ${error.message}`);
+    }
+  }
+
+  logger.info(`Monitoramento iniciado para o vendedor ${config.vendorId} com intervalo de ${checkInterval} segundos`);
 
   // Primeira verificação imediata
   checkForNewOrders(config, callback);
 
   // Configuração do intervalo
-  const intervalMs = (config.checkInterval || 60) * 1000;
+  const intervalMs = checkInterval * 1000;
   intervalId = setInterval(() => {
     checkForNewOrders(config, callback);
   }, intervalMs);
@@ -642,6 +832,8 @@ function stopOrderListener() {
     intervalId = null;
   }
 
+  stopWebhookServer();
+
   // Salva o estado dos pedidos processados antes de limpar
   if (global.processedOrders) {
     logger.info(`Salvando estado de ${global.processedOrders.size} pedidos processados`);
@@ -659,12 +851,13 @@ function stopOrderListener() {
  * Implementa verificações rigorosas de segurança
  * @param {Object} config - Configurações da API
  * @param {string} vendorId - ID do vendedor
+ * @param {Object} options - Opções da paginação ({modifiedAfter}, ver getOrderPages)
  * @returns {Promise<Array>} Lista de pedidos filtrados
  */
-async function getAllOrdersAndFilter(config, vendorId) {
+async function getAllOrdersAndFilter(config, vendorId, options = {}) {
   try {
     // Verificações de segurança iniciais
-    if (!config || !config.apiUrl || !config.username || !config.password) {
+    if (!hasApiCredentials(config)) {
       logger.error('Configurações de API incompletas para buscar pedidos');
       throw new Error('Configurações de API incompletas');
     }
@@ -677,28 +870,18 @@ async function getAllOrdersAndFilter(config, vendorId) {
     logger.info(`Buscando pedidos e aplicando filtro rigoroso para vendedor: ${vendorId}`);
     
     const url = `${config.apiUrl}/wp-json/wc/v3/orders`;
-    const token = Buffer.from(`${config.username}:${config.password}`, 'utf8').toString('base64');
+    const client = createApiClient(config);
     
-    // Buscar pedidos recentes em processamento
-    const response = await axios.get(url, {
+    // Buscar pedidos recentes nos status monitorados, página por página
+    const allOrders = await getOrderPages(client, url, {
       params: {
-        status: 'processing',
+        status: getStatusParam(config),
         per_page: 50,
         // Ordenar por data de criação, mais recentes primeiro
         orderby: 'date',
         order: 'desc'
-      },
-      headers: {
-        'Authorization': `Basic ${token}`
       }
-    });
-    
-    if (!response.data || !Array.isArray(response.data)) {
-      logger.warn('Resposta da API inválida ao buscar pedidos');
-      return [];
-    }
-    
-    const allOrders = response.data;
+    }, options);
     logger.info(`Obtidos ${allOrders.length} pedidos no total, aplicando filtro de segurança para vendedor ${vendorId}`);
     
     // Aplicar verificação rigorosa de segurança
@@ -731,7 +914,7 @@ async function checkForNewOrders(config, callback) {
     // Parâmetros para a API do WooCommerce
     const apiParams = {
       per_page: 20, // Aumentamos o limite para garantir que pegamos todos os pedidos recentes
-      status: 'processing', // Filtra apenas pedidos em processamento
+      status: getStatusParam(config), // Filtra apenas pedidos nos status monitorados
     };
     
     // Usa diferentes parâmetros para tentar obter pedidos específicos do vendedor
@@ -751,11 +934,14 @@ async function checkForNewOrders(config, callback) {
     // Tenta obter pedidos pela API
     let orders = [];
     let foundMethod = '';
+
+    // Consulta incremental: só os pedidos alterados desde o ponto de verificação (menos a margem)
+    const pageOptions = { modifiedAfter: lastOrderTimestamp ? lastOrderTimestamp - MODIFIED_OVERLAP : null };
     
     // Tenta diferentes métodos para obter pedidos do vendedor
     try {
       // Método 1: parâmetro vendor_id
-      orders = await getWooCommerceOrders(config, apiParams);
+      orders = await getWooCommerceOrders(config, apiParams, pageOptions);
       
       if (orders && orders.length > 0) {
         logger.info(`Encontrados ${orders.length} pedidos usando parâmetro vendor_id`);
@@ -765,7 +951,7 @@ async function checkForNewOrders(config, callback) {
         
         // Método 2: API específica do Dokan
         try {
-          orders = await getDokanOrders(config);
+          orders = await getDokanOrders(config, pageOptions);
           
           if (orders && orders.length > 0) {
             logger.info(`Encontrados ${orders.length} pedidos usando API Dokan`);
@@ -774,7 +960,7 @@ async function checkForNewOrders(config, callback) {
             logger.info('Nenhum pedido encontrado com API Dokan, tentando método de filtro manual');
             
             // Método 3: Buscar todos os pedidos e filtrar manualmente
-            orders = await getAllOrdersAndFilter(config, vendorId);
+            orders = await getAllOrdersAndFilter(config, vendorId, pageOptions);
             
             if (orders && orders.length > 0) {
               logger.info(`Encontrados ${orders.length} pedidos usando filtro manual`);
@@ -787,7 +973,7 @@ async function checkForNewOrders(config, callback) {
           logger.error(`Erro ao tentar API Dokan: ${dokanError.message}`);
           
           // Se falhar, tenta o último método
-          orders = await getAllOrdersAndFilter(config, vendorId);
+          orders = await getAllOrdersAndFilter(config, vendorId, pageOptions);
           
           if (orders && orders.length > 0) {
             logger.info(`Encontrados ${orders.length} pedidos usando filtro manual após falha no Dokan`);
@@ -799,7 +985,7 @@ async function checkForNewOrders(config, callback) {
       logger.error(`Erro ao obter pedidos: ${error.message}`);
       // Tenta o último método como fallback
       try {
-        orders = await getAllOrdersAndFilter(config, vendorId);
+        orders = await getAllOrdersAndFilter(config, vendorId, pageOptions);
         
         if (orders && orders.length > 0) {
           logger.info(`Encontrados ${orders.length} pedidos usando filtro manual após erro`);
@@ -811,6 +997,16 @@ async function checkForNewOrders(config, callback) {
     }
 
     if (orders.length > 0) {
+      // Avança o ponto de verificação até a alteração mais recente recebida. Com o ponto de verificação os
+      // pedidos vêm dos mais antigos para os mais novos, então, se o limite de páginas cortou a consulta,
+      // a próxima continua do último pedido lido
+      const previousCheckpoint = lastOrderTimestamp;
+      for (const modifiedTime of orders.map(getOrderModifiedTime)) {
+        if (!isNaN(modifiedTime) && (!lastOrderTimestamp || modifiedTime > lastOrderTimestamp)) {
+          lastOrderTimestamp = modifiedTime;
+        }
+      }
+
       // SEGURANÇA ADICIONAL: Verificar se todos os pedidos são realmente deste vendedor
       orders = verifyOrdersBelongToVendor(orders, vendorId);
       logger.info(`Após verificação de segurança: ${orders.length} pedidos confirmados para vendedor ${vendorId}`);
@@ -823,36 +1019,19 @@ async function checkForNewOrders(config, callback) {
 
         // Processa cada novo pedido
         for (const order of newOrders) {
-          // Última verificação de segurança - confirma que este pedido pertence ao vendedor
-          if (orderBelongsToVendor(order, vendorId)) {
-            // Marca o pedido como processado para evitar duplicação
-            global.processedOrders.add(order.id);
-            
-            // Registra o pedido encontrado
-            logger.info(`Processando pedido #${order.id} para o vendedor ${vendorId}`);
-            
-            // Chama o callback com o pedido
-            callback(order);
-          } else {
-            logger.warn(`SEGURANÇA: Bloqueado pedido #${order.id} que não pertence ao vendedor ${vendorId}`);
-          }
+          await dispatchNewOrder(config, order, callback);
         }
         
         // Salva o estado a cada batch de novos pedidos
         saveProcessedOrdersState();
-        
-        // Se houver muitos pedidos no conjunto, podemos limpar os mais antigos
-        if (global.processedOrders.size > 1000) {
-          logger.info(`Limpando cache de pedidos processados (tamanho: ${global.processedOrders.size})`);
-          // Convertemos para array, pegamos os 500 mais recentes, e recriamos o conjunto
-          const ordersArray = Array.from(global.processedOrders);
-          global.processedOrders = new Set(ordersArray.slice(-500));
-          logger.info(`Cache de pedidos reduzido para ${global.processedOrders.size} itens`);
-          // Salva o estado após a limpeza
-          saveProcessedOrdersState();
-        }
+        trimProcessedOrders();
       } else {
         logger.info(`Nenhum novo pedido encontrado para vendedor ${vendorId}`);
+
+        // Grava o ponto de verificação que avançou, para não reler os mesmos pedidos após reiniciar
+        if (lastOrderTimestamp !== previousCheckpoint) {
+          saveProcessedOrdersState();
+        }
       }
     } else {
       logger.info(`Nenhum pedido em processamento encontrado para vendedor ${vendorId}`);
@@ -865,40 +1044,233 @@ async function checkForNewOrders(config, callback) {
   }
 }
 
+/**
+ * Entrega ao callback um pedido novo do vendedor, uma única vez
+ * Usado tanto pela consulta periódica quanto pelo webhook, que podem trazer o mesmo pedido.
+ * Pedidos em status monitorado sem impressão são avisados com {print: false} e não contam como processados,
+ * para serem impressos quando chegarem a um status de impressão
+ * @param {Object} config - Configurações da API e do vendedor
+ * @param {Object} order - Dados do pedido
+ * @param {Function} callback - Função a ser chamada com o pedido e as opções ({print})
+ * @returns {Promise<boolean>} True se o pedido foi entregue ao callback para impressão
+ */
+async function dispatchNewOrder(config, order, callback) {
+  const vendorId = config.vendorId.trim();
+
+  // Última verificação de segurança - confirma que este pedido pertence ao vendedor
+  if (!orderBelongsToVendor(order, vendorId)) {
+    logger.warn(`SEGURANÇA: Bloqueado pedido #${order.id} que não pertence ao vendedor ${vendorId}`);
+    return false;
+  }
+
+  if (global.processedOrders.has(order.id)) {
+    return false;
+  }
+
+  if (!isPrintStatus(config, order.status)) {
+    if (waitingOrders.get(order.id) !== order.status) {
+      // Reinsere para que o pedido conte como o mais recente ao descartar os antigos
+      waitingOrders.delete(order.id);
+      waitingOrders.set(order.id, order.status);
+      if (waitingOrders.size > MAX_WAITING_ORDERS) {
+        waitingOrders.delete(waitingOrders.keys().next().value);
+      }
+      logger.info(`Pedido #${order.id} no status ${order.status}, monitorado sem impressão`);
+      callback(order, { print: false });
+    }
+    return false;
+  }
+
+  // Marca o pedido como processado para evitar duplicação
+  global.processedOrders.add(order.id);
+  waitingOrders.delete(order.id);
+
+  // Registra o pedido encontrado
+  logger.info(`Processando pedido #${order.id} para o vendedor ${vendorId}`);
+
+  // Categorias e tags dos produtos, necessárias para o roteamento de itens entre impressoras
+  if (config.itemRoutes && config.itemRoutes.trim() !== '') {
+    await attachProductInfo(config, order);
+  }
+
+  // Chama o callback com o pedido
+  callback(order, { print: true });
+  return true;
+}
+
+/**
+ * Limpa os pedidos processados mais antigos quando o conjunto fica grande
+ */
+function trimProcessedOrders() {
+  if (global.processedOrders.size > 1000) {
+    logger.info(`Limpando cache de pedidos processados (tamanho: ${global.processedOrders.size})`);
+    // Convertemos para array, pegamos os 500 mais recentes, e recriamos o conjunto
+    const ordersArray = Array.from(global.processedOrders);
+    global.processedOrders = new Set(ordersArray.slice(-500));
+    logger.info(`Cache de pedidos reduzido para ${global.processedOrders.size} itens`);
+    // Salva o estado após a limpeza
+    saveProcessedOrdersState();
+  }
+}
+
+/**
+ * Trata um pedido recebido pelo webhook do WooCommerce (order.created ou order.updated)
+ * Só considera pedidos nos status monitorados, como a consulta periódica; um pedido criado em um status
+ * sem impressão é impresso quando o order.updated informar um status de impressão
+ * @param {Object} config - Configurações da API e do vendedor
+ * @param {Object} order - Pedido recebido no corpo do webhook
+ * @param {string} topic - Tópico do webhook
+ * @param {Function} callback - Função a ser chamada com o pedido
+ */
+async function handleWebhookOrder(config, order, topic, callback) {
+  if (!isListening) {
+    return;
+  }
+
+  if (!getWatchedStatuses(config)[order.status]) {
+    logger.info(`Webhook ${topic}: pedido #${order.id} com status ${order.status}, não monitorado`);
+    waitingOrders.delete(order.id);
+    return;
+  }
+
+  if (!global.processedOrders) {
+    global.processedOrders = new Set();
+  }
+
+  if (await dispatchNewOrder(config, order, callback)) {
+    saveProcessedOrdersState();
+    trimProcessedOrders();
+  }
+}
+
+/**
+ * Lista os status de pedido da loja, incluindo os personalizados
+ * @param {Object} config - Configurações da API
+ * @returns {Promise<Array<{slug: string, name: string, total: number}>>} Status e quantidade de pedidos em cada um
+ */
+async function getOrderStatuses(config) {
+  if (!hasApiCredentials(config)) {
+    throw new Error('Configurações incompletas. Preencha a URL e as credenciais da API primeiro.');
+  }
+
+  const client = createApiClient(config);
+  const response = await client.get(`${config.apiUrl}/wp-json/wc/v3/reports/orders/totals`);
+
+  if (!Array.isArray(response.data)) {
+    throw new Error('Resposta inválida ao listar os status de pedido');
+  }
+
+  return response.data.map(status => ({
+    slug: status.slug,
+    name: status.name || status.slug,
+    total: parseInt(status.total) || 0
+  }));
+}
+
+/**
+ * Obtém categorias, tags e SKU dos produtos, consultando a API apenas para os que não estão em cache
+ * @param {Object} config - Configurações da API
+ * @param {Array<number>} productIds - IDs dos produtos
+ * @returns {Promise<Map>} Produtos por ID ({categories, tags, sku})
+ */
+async function getProductsInfo(config, productIds) {
+  const now = Date.now();
+  const ids = [...new Set(productIds.filter(Boolean))];
+  const missing = ids.filter(id => {
+    const cached = productCache.get(id);
+    return !cached || now - cached.fetchedAt > PRODUCT_CACHE_TTL;
+  });
+
+  if (missing.length > 0) {
+    logger.info(`Buscando ${missing.length} produtos na API para o roteamento de itens`);
+
+    const url = `${config.apiUrl}/wp-json/wc/v3/products`;
+    const client = createApiClient(config);
+
+    for (let i = 0; i < missing.length; i += PRODUCTS_PER_REQUEST) {
+      const batch = missing.slice(i, i + PRODUCTS_PER_REQUEST);
+      const response = await client.get(url, {
+        params: {
+          include: batch.join(','),
+          per_page: PRODUCTS_PER_REQUEST
+        }
+      });
+
+      for (const product of Array.isArray(response.data) ? response.data : []) {
+        productCache.set(product.id, {
+          categories: (product.categories || []).map(({ id, name, slug }) => ({ id, name, slug })),
+          tags: (product.tags || []).map(({ id, name, slug }) => ({ id, name, slug })),
+          sku: product.sku || '',
+          fetchedAt: now
+        });
+      }
+    }
+  }
+
+  const products = new Map();
+  for (const id of ids) {
+    if (productCache.has(id)) {
+      products.set(id, productCache.get(id));
+    }
+  }
+
+  return products;
+}
+
+/**
+ * Adiciona categorias e tags do produto a cada item do pedido (product_categories, product_tags)
+ * Em caso de erro na API o pedido segue sem essas informações; as regras por SKU continuam valendo
+ * @param {Object} config - Configurações da API
+ * @param {Object} order - Pedido (alterado no lugar)
+ * @returns {Promise<Object>} O mesmo pedido
+ */
+async function attachProductInfo(config, order) {
+  const items = order.line_items || [];
+
+  try {
+    const products = await getProductsInfo(config, items.map(item => item.product_id));
+
+    for (const item of items) {
+      const product = products.get(item.product_id);
+      if (product) {
+        item.product_categories = product.categories;
+        item.product_tags = product.tags;
+      }
+    }
+  } catch (error) {
+    logger.warn(`Não foi possível obter as categorias dos produtos do pedido #${order.id}: ${error.message}`);
+  }
+
+  return order;
+}
+
 /**
  * Obtém pedidos diretamente pela API do Dokan
  * Útil quando a API do WooCommerce não retorna os pedidos do vendedor corretamente
  * @param {Object} config - Configurações da API
+ * @param {Object} options - Opções da paginação ({modifiedAfter}, ver getOrderPages)
  * @returns {Array} Lista de pedidos
  */
-async function getDokanOrders(config) {
+async function getDokanOrders(config, options = {}) {
   try {
-    const token = Buffer.from(`${config.username}:${config.password}`, 'utf8').toString('base64');
+    const client = createApiClient(config);
     
     // Primeiro, tenta pela API específica do Dokan
     try {
       logger.info(`Tentando endpoint Dokan para vendedor ${config.vendorId}`);
-      const response = await axios.get(`${config.apiUrl}/wp-json/dokan/v1/orders`, {
-        headers: {
-          'Authorization': `Basic ${token}`
-        },
+      return await getOrderPages(client, `${config.apiUrl}/wp-json/dokan/v1/orders`, {
         params: {
-          status: 'processing',
+          status: getStatusParam(config),
           per_page: 20
         }
-      });
-      
-      return response.data;
+      }, options);
     } catch (dokanError) {
       logger.warn(`Erro na API do Dokan: ${dokanError.message}`);
       
       // Se a API do Dokan falhar, tenta a API do WooCommerce com filtro de meta_query
-      const response = await axios.get(`${config.apiUrl}/wp-json/wc/v3/orders`, {
-        headers: {
-          'Authorization': `Basic ${token}`
-        },
+      return await getOrderPages(client, `${config.apiUrl}/wp-json/wc/v3/orders`, {
         params: {
-          status: 'processing',
+          status: getStatusParam(config),
           per_page: 20,
           meta_query: JSON.stringify([
             {
@@ -908,9 +1280,7 @@ async function getDokanOrders(config) {
             }
           ])
         }
-      });
-      
-      return response.data;
+      }, options);
     }
   } catch (error) {
     logger.error(`Erro ao obter pedidos do Dokan: ${error.message}`);
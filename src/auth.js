@@ -0,0 +1,124 @@
+/**
+ * Autenticação nas APIs da loja (WooCommerce, WordPress e Dokan)
+ *
+ * Modos (config.authMode):
+ *   password      Usuário e senha do WordPress, em HTTP Basic (padrão das versões anteriores)
+ *   app_password  Usuário e senha de aplicativo do WordPress (Usuários > Perfil > Senhas de aplicativo), em HTTP Basic
+ *   wc_keys       Chave e segredo da API REST do WooCommerce (WooCommerce > Configurações > Avançado > API REST).
+ *                 Em HTTPS vão em HTTP Basic; em HTTP (lojas de homologação) cada requisição é assinada com
+ *                 OAuth 1.0a nos parâmetros da URL, como exige o WooCommerce
+ *
+ * O aplicativo só lê pedidos, produtos e lojas, então chaves com permissão "Leitura" bastam.
+ * As chaves do WooCommerce só valem nas rotas wc/; a detecção do vendedor pelo usuário e a lista de
+ * vendedores do Dokan podem exigir o ID do vendedor informado manualmente.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+const AUTH_MODES = ['password', 'app_password', 'wc_keys'];
+const DEFAULT_AUTH_MODE = 'password';
+
+/**
+ * Obtém o modo de autenticação configurado
+ * @param {Object} config - Configurações da API
+ * @returns {string} Modo de autenticação (ver AUTH_MODES)
+ */
+function getAuthMode(config) {
+  return AUTH_MODES.includes(config.authMode) ? config.authMode : DEFAULT_AUTH_MODE;
+}
+
+/**
+ * Verifica se as credenciais do modo configurado estão preenchidas
+ * @param {Object} config - Configurações da API
+ * @returns {boolean} True se URL e credenciais estão presentes
+ */
+function hasApiCredentials(config) {
+  if (!config || !config.apiUrl) {
+    return false;
+  }
+
+  switch (getAuthMode(config)) {
+    case 'wc_keys':
+      return Boolean(config.consumerKey && config.consumerSecret);
+    case 'app_password':
+      return Boolean(config.username && config.appPassword);
+    default:
+      return Boolean(config.username && config.password);
+  }
+}
+
+/**
+ * Codifica um valor como o WooCommerce faz ao conferir a assinatura (RFC 3986)
+ * @param {string} value - Valor a codificar
+ * @returns {string} Valor codificado
+ */
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Assina a URL com OAuth 1.0a (uma etapa, HMAC-SHA256), no formato conferido pelo WooCommerce
+ * Os pares chave/valor entram na base da assinatura codificados uma única vez, unidos por %3D e %26
+ * @param {string} method - Método HTTP
+ * @param {string} fullUrl - URL completa, já com os parâmetros da consulta
+ * @param {string} consumerKey - Chave do consumidor (ck_...)
+ * @param {string} consumerSecret - Segredo do consumidor (cs_...)
+ * @returns {string} URL com os parâmetros oauth_* e a assinatura
+ */
+function signOAuthUrl(method, fullUrl, consumerKey, consumerSecret) {
+  const url = new URL(fullUrl);
+  const params = Array.from(url.searchParams.entries());
+
+  params.push(
+    ['oauth_consumer_key', consumerKey],
+    ['oauth_nonce', crypto.randomBytes(16).toString('hex')],
+    ['oauth_signature_method', 'HMAC-SHA256'],
+    ['oauth_timestamp', String(Math.floor(Date.now() / 1000))]
+  );
+  params.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+
+  const baseUrl = `${url.origin}${url.pathname}`;
+  const paramString = params.map(([key, value]) => `${encodeRfc3986(key)}%3D${encodeRfc3986(value)}`).join('%26');
+  const baseString = `${method.toUpperCase()}&${encodeRfc3986(baseUrl)}&${paramString}`;
+  const signature = crypto.createHmac('sha256', `${consumerSecret}&`).update(baseString).digest('base64');
+
+  params.push(['oauth_signature', signature]);
+  return `${baseUrl}?${params.map(([key, value]) => `${encodeRfc3986(key)}=${encodeRfc3986(value)}`).join('&')}`;
+}
+
+/**
+ * Cria um cliente HTTP que autentica cada requisição conforme o modo configurado
+ * @param {Object} config - Configurações da API (authMode e credenciais)
+ * @returns {import('axios').AxiosInstance} Cliente axios
+ */
+function createApiClient(config) {
+  const client = axios.create();
+  const mode = getAuthMode(config);
+
+  client.interceptors.request.use(request => {
+    if (mode === 'wc_keys' && !/^https:/i.test(config.apiUrl)) {
+      // A assinatura cobre a URL final, com os parâmetros já serializados
+      const signedUrl = signOAuthUrl(request.method || 'get', client.getUri(request), config.consumerKey, config.consumerSecret);
+      return { ...request, url: signedUrl, params: undefined, paramsSerializer: undefined };
+    }
+
+    const credentials = mode === 'wc_keys'
+      ? `${config.consumerKey}:${config.consumerSecret}`
+      : `${config.username}:${mode === 'app_password' ? config.appPassword : config.password}`;
+
+    request.headers = request.headers || {};
+    request.headers['Authorization'] = `Basic ${Buffer.from(credentials, 'utf8').toString('base64')}`;
+    return request;
+  });
+
+  return client;
+}
+
+module.exports = {
+  AUTH_MODES,
+  getAuthMode,
+  hasApiCredentials,
+  signOAuthUrl,
+  createApiClient
+};
@@ -0,0 +1,134 @@
+/**
+ * Backend de impressão para Linux/macOS via CUPS
+ * Lista as filas com lpstat, envia jobs com lp -d e acompanha o estado com lpstat -o
+ */
+
+const { execFile } = require('child_process');
+const util = require('util');
+const execFilePromise = util.promisify(execFile);
+const { log } = require('../log');
+
+/**
+ * Obtém a lista de filas de impressão do CUPS
+ * @returns {Promise<Array>} Lista de impressoras
+ */
+async function listPrinters() {
+  try {
+    log('Obtendo lista de impressoras via lpstat');
+
+    // Linhas no formato: "printer NOME is idle.  enabled since ..."
+    const { stdout } = await execFilePromise('lpstat', ['-p']);
+    const printers = stdout
+      .split('\n')
+      .map(l => l.trim())
+      .filter(l => l.startsWith('printer '))
+      .map(l => ({ name: l.split(/\s+/)[1] }));
+
+    log(`${printers.length} impressoras encontradas via lpstat`);
+    return printers;
+  } catch (error) {
+    log(`Erro ao listar impressoras com lpstat: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Envia um arquivo para uma fila do CUPS
+ * @param {string} filePath - Caminho do arquivo a ser impresso
+ * @param {string} printerName - Nome da fila
+ * @param {Object} options - Opções de envio (raw: envia os bytes sem filtros do CUPS)
+ * @returns {Promise<{jobId: string}>} ID do job criado
+ */
+async function print(filePath, printerName, options = {}) {
+  try {
+    log(`Enviando arquivo para a fila "${printerName}" via lp`);
+
+    const args = ['-d', printerName];
+    if (options.raw) {
+      args.push('-o', 'raw');
+    }
+    args.push(filePath);
+
+    // Saída no formato: "request id is NOME-123 (1 file(s))"
+    const { stdout } = await execFilePromise('lp', args);
+    const match = /request id is (\S+)/.exec(stdout);
+    const jobId = match ? match[1] : '';
+
+    log(`Job enviado ao CUPS${jobId ? `: ${jobId}` : ''}`);
+    return { jobId };
+  } catch (error) {
+    log(`Erro ao enviar job com lp: ${error.message}`);
+    throw new Error(`Falha ao enviar para a impressora "${printerName}" via CUPS: ${(error.stderr || error.message).trim()}`);
+  }
+}
+
+/**
+ * Verifica se há jobs pendentes na fila do CUPS
+ * @param {string} printerName - Nome da fila
+ * @param {string} jobId - ID do job a procurar (opcional)
+ * @returns {Promise<boolean>} True se o job (ou qualquer job, sem jobId) ainda está na fila
+ */
+async function checkPrintQueue(printerName, jobId) {
+  try {
+    log('Verificando fila de impressão via lpstat -o...');
+
+    const args = ['-o'];
+    if (printerName) {
+      args.push(printerName);
+    }
+
+    // Linhas no formato: "NOME-123  usuario  1024  data"
+    const { stdout } = await execFilePromise('lpstat', args);
+    const jobs = stdout.split('\n').map(l => l.trim()).filter(Boolean).map(l => l.split(/\s+/)[0]);
+    const hasJobs = jobId ? jobs.includes(jobId) : jobs.length > 0;
+
+    log(`Jobs na fila de impressão: ${hasJobs ? 'Sim' : 'Não'}`);
+    return hasJobs;
+  } catch (error) {
+    log(`Erro ao verificar fila de impressão: ${error.message}`);
+    return false; // Assume que não há jobs em caso de erro
+  }
+}
+
+// Motivos de estado do CUPS (printer-state-reasons, listados em "Alerts") que impedem a impressão
+const CUPS_REASONS = [
+  { pattern: /media-empty|media-needed/, state: 'paper_out', detail: 'Sem papel' },
+  { pattern: /door-open|cover-open/, state: 'cover_open', detail: 'Tampa aberta' },
+  { pattern: /offline|shutdown|connecting-to-device/, state: 'offline', detail: 'Impressora offline' },
+  { pattern: /media-jam|marker-supply-empty|-error\b/, state: 'error', detail: 'Erro na impressora' },
+  { pattern: /media-low/, state: 'paper_near_end', detail: 'Papel acabando' }
+];
+
+/**
+ * Consulta o estado da fila no CUPS (fila desativada e alertas informados pelo driver)
+ * @param {string} printerName - Nome da fila
+ * @returns {Promise<{state: string, detail: string}>} Estado da impressora
+ */
+async function getPrinterStatus(printerName) {
+  try {
+    // Saída no formato: "printer NOME disabled since ..." seguido de "Alerts: media-empty-error ..."
+    const { stdout } = await execFilePromise('lpstat', ['-l', '-p', printerName]);
+    const alertsLine = stdout.split('\n').find(l => l.trim().startsWith('Alerts:')) || '';
+
+    const reason = CUPS_REASONS.find(r => r.pattern.test(alertsLine));
+    if (reason) {
+      return { state: reason.state, detail: reason.detail };
+    }
+    if (/\bdisabled\b/.test(stdout.split('\n')[0] || '')) {
+      return { state: 'offline', detail: 'Fila desativada no CUPS' };
+    }
+
+    return { state: 'ok', detail: '' };
+  } catch (error) {
+    log(`Erro ao consultar estado da fila "${printerName}": ${(error.stderr || error.message).trim()}`);
+    return { state: 'unknown', detail: 'Não foi possível consultar o CUPS' };
+  }
+}
+
+module.exports = {
+  name: 'cups',
+  listPrinters,
+  print,
+  checkPrintQueue,
+  getPrinterStatus
+};
@@ -0,0 +1,35 @@
+/**
+ * Seleção do backend de impressão do sistema operacional
+ *
+ * Todo backend expõe a mesma interface:
+ *   name                                    - Identificador do backend ('windows', 'cups')
+ *   listPrinters()                          - Promise<Array<{name}>> com as impressoras instaladas
+ *   print(filePath, printerName, { raw })   - Promise<{jobId}> envia o arquivo para impressão
+ *   checkPrintQueue(printerName, jobId)     - Promise<boolean> indica se há job pendente na fila
+ *   getPrinterStatus(printerName)           - Promise<{state, detail}> estado da impressora no spooler (ver src/health.js)
+ */
+
+const windows = require('./windows');
+const cups = require('./cups');
+
+const backends = {
+  windows,
+  cups
+};
+
+/**
+ * Obtém o backend de impressão pela configuração ou pela plataforma atual
+ * @param {Object} options - Configurações do aplicativo (printerBackend: 'auto' | 'windows' | 'cups')
+ * @returns {Object} Backend de impressão
+ */
+function getBackend(options = {}) {
+  if (options.printerBackend && backends[options.printerBackend]) {
+    return backends[options.printerBackend];
+  }
+
+  return process.platform === 'win32' ? windows : cups;
+}
+
+module.exports = {
+  getBackend
+};
@@ -0,0 +1,450 @@
+/**
+ * Backend de impressão para Windows
+ * Usa WMIC/PowerShell para listar impressoras e a fila, Notepad para o layout de texto
+ * e a API winspool (via PowerShell) para dados RAW (ESC/POS)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { exec } = require('child_process');
+const util = require('util');
+const execPromise = util.promisify(exec);
+const { log } = require('../log');
+
+/**
+ * Monta o ambiente do processo do PowerShell com os valores usados pelo script
+ * Nomes de impressora e caminhos podem ter aspas, $ ou `; lidos de $env:NOME, não são interpretados
+ * pelo PowerShell como seriam se fossem inseridos no texto do script
+ * @param {Object<string, string>} values - Variáveis lidas pelo script
+ * @returns {Object} Ambiente do processo
+ */
+function getScriptEnv(values) {
+  return { ...process.env, ...values };
+}
+
+/**
+ * Configura o tamanho do papel da impressora
+ * @param {string} printerName - Nome da impressora
+ * @returns {Promise<boolean>} Sucesso da operação
+ */
+async function configurePrinterPaperSize(printerName) {
+  try {
+    log(`Configurando tamanho do papel para impressora "${printerName}"`);
+
+    // Executa um comando para configurar o tamanho do papel
+    // Isso usa o DevMode via PowerShell para modificar a configuração
+    const psCommand = `
+      Add-Type -AssemblyName System.Drawing.Printing;
+      $printers = [System.Drawing.Printing.PrinterSettings]::InstalledPrinters;
+      $found = $false;
+      foreach ($printer in $printers) {
+        if ($printer -eq $env:XCONDO_PRINTER_NAME) {
+          $found = $true;
+          $settings = New-Object System.Drawing.Printing.PrinterSettings;
+          $settings.PrinterName = $env:XCONDO_PRINTER_NAME;
+          $ticket = $settings.DefaultPageSettings;
+          $ticket.PaperSize = New-Object System.Drawing.Printing.PaperSize("Custom", 800, 1100);
+          break;
+        }
+      }
+      if (-not $found) { Write-Output "Impressora não encontrada"; exit 1; }
+      Write-Output "Configuração aplicada com sucesso";
+    `;
+
+    // Salva o comando em um arquivo temporário
+    const psScriptPath = path.join(os.tmpdir(), 'configure_printer.ps1');
+    fs.writeFileSync(psScriptPath, psCommand);
+
+    // Executa o script PowerShell; o nome da impressora vai por variável de ambiente (ver getScriptEnv)
+    await execPromise(`powershell -ExecutionPolicy Bypass -File "${psScriptPath}"`, {
+      env: getScriptEnv({ XCONDO_PRINTER_NAME: printerName })
+    });
+
+    log('Configuração do tamanho do papel aplicada com sucesso');
+    return true;
+  } catch (error) {
+    log(`Erro ao configurar tamanho do papel: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Define uma impressora como padrão no sistema
+ * @param {string} printerName - Nome da impressora
+ * @returns {Promise<string>} Nome da impressora padrão anterior
+ */
+async function setDefaultPrinter(printerName) {
+  try {
+    // Salva a impressora padrão atual
+    const { stdout } = await execPromise('wmic printer where default=true get name');
+    let defaultPrinter = '';
+
+    // Extrai o nome da impressora padrão atual
+    const lines = stdout.split('\n').map(l => l.trim()).filter(Boolean);
+    if (lines.length > 1 && lines[0] === 'Name') {
+      defaultPrinter = lines[1];
+    }
+
+    log(`Impressora padrão atual: "${defaultPrinter}"`);
+
+    // Define a nova impressora como padrão
+    log(`Definindo impressora "${printerName}" como padrão`);
+    await execPromise(`wmic printer where "name='${printerName}'" call setdefaultprinter`);
+
+    return defaultPrinter;
+  } catch (error) {
+    log(`Erro ao definir impressora padrão: ${error.message}`);
+    return '';
+  }
+}
+
+/**
+ * Envia um arquivo binário diretamente ao spooler do Windows como dados RAW
+ * Necessário para o ESC/POS, pois o Notepad imprimiria os comandos como texto
+ * @param {string} filePath - Caminho do arquivo a ser impresso
+ * @param {string} printerName - Nome da impressora
+ * @returns {Promise<boolean>} Sucesso da impressão
+ */
+async function printRawWithSpooler(filePath, printerName) {
+  try {
+    log(`Enviando dados RAW para a impressora "${printerName}"`);
+
+    // Usa a API winspool via PowerShell para gravar os bytes sem passar pelo driver gráfico
+    const psCommand = `
+      $source = @"
+using System;
+using System.Runtime.InteropServices;
+public class RawPrinterHelper {
+  [StructLayout(LayoutKind.Sequential, CharSet = CharSet.Ansi)]
+  public class DOCINFOA {
+    [MarshalAs(UnmanagedType.LPStr)] public string pDocName;
+    [MarshalAs(UnmanagedType.LPStr)] public string pOutputFile;
+    [MarshalAs(UnmanagedType.LPStr)] public string pDataType;
+  }
+  [DllImport("winspool.Drv", EntryPoint = "OpenPrinterA", SetLastError = true, CharSet = CharSet.Ansi)]
+  public static extern bool OpenPrinter(string szPrinter, out IntPtr hPrinter, IntPtr pd);
+  [DllImport("winspool.Drv", EntryPoint = "ClosePrinter", SetLastError = true)]
+  public static extern bool ClosePrinter(IntPtr hPrinter);
+  [DllImport("winspool.Drv", EntryPoint = "StartDocPrinterA", SetLastError = true, CharSet = CharSet.Ansi)]
+  public static extern bool StartDocPrinter(IntPtr hPrinter, int level, [In, MarshalAs(UnmanagedType.LPStruct)] DOCINFOA di);
+  [DllImport("winspool.Drv", EntryPoint = "EndDocPrinter", SetLastError = true)]
+  public static extern bool EndDocPrinter(IntPtr hPrinter);
+  [DllImport("winspool.Drv", EntryPoint = "StartPagePrinter", SetLastError = true)]
+  public static extern bool StartPagePrinter(IntPtr hPrinter);
+  [DllImport("winspool.Drv", EntryPoint = "EndPagePrinter", SetLastError = true)]
+  public static extern bool EndPagePrinter(IntPtr hPrinter);
+  [DllImport("winspool.Drv", EntryPoint = "WritePrinter", SetLastError = true)]
+  public static extern bool WritePrinter(IntPtr hPrinter, byte[] pBytes, int dwCount, out int dwWritten);
+
+  public static bool SendBytes(string printerName, byte[] bytes) {
+    IntPtr hPrinter;
+    if (!OpenPrinter(printerName, out hPrinter, IntPtr.Zero)) return false;
+    DOCINFOA di = new DOCINFOA();
+    di.pDocName = "Xcondo Pedido";
+    di.pDataType = "RAW";
+    bool ok = false;
+    if (StartDocPrinter(hPrinter, 1, di)) {
+      if (StartPagePrinter(hPrinter)) {
+        int written;
+        ok = WritePrinter(hPrinter, bytes, bytes.Length, out written) && written == bytes.Length;
+        EndPagePrinter(hPrinter);
+      }
+      EndDocPrinter(hPrinter);
+    }
+    ClosePrinter(hPrinter);
+    return ok;
+  }
+}
+"@
+      Add-Type -TypeDefinition $source;
+      $bytes = [System.IO.File]::ReadAllBytes($env:XCONDO_PRINT_FILE);
+      if (-not [RawPrinterHelper]::SendBytes($env:XCONDO_PRINTER_NAME, $bytes)) { Write-Output "Falha ao enviar dados RAW"; exit 1; }
+      Write-Output "Dados RAW enviados com sucesso";
+    `;
+
+    // Salva o comando em um arquivo temporário
+    const psScriptPath = path.join(os.tmpdir(), 'print_raw.ps1');
+    fs.writeFileSync(psScriptPath, psCommand);
+
+    // Executa o script PowerShell; arquivo e impressora vão por variáveis de ambiente (ver getScriptEnv)
+    await execPromise(`powershell -ExecutionPolicy Bypass -File "${psScriptPath}"`, {
+      env: getScriptEnv({ XCONDO_PRINT_FILE: filePath, XCONDO_PRINTER_NAME: printerName })
+    });
+
+    log('Dados RAW enviados ao spooler com sucesso');
+    return true;
+  } catch (error) {
+    log(`Erro ao enviar dados RAW: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Imprime usando Notepad - método mais confiável para impressão física
+ * @param {string} filePath - Caminho do arquivo a ser impresso
+ * @returns {Promise<boolean>} Sucesso da impressão
+ */
+async function printWithNotepad(filePath) {
+  try {
+    log('Imprimindo com Notepad - método mais confiável');
+
+    // Executa o Notepad com a flag /p para imprimir
+    await execPromise(`notepad /p "${filePath}"`);
+
+    log('Comando Notepad executado com sucesso');
+    return true;
+  } catch (error) {
+    log(`Erro ao imprimir com Notepad: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Verifica se a impressão foi enviada para a fila
+ * @returns {Promise<boolean>} True se há jobs na fila de impressão
+ */
+async function checkPrintQueue() {
+  try {
+    log('Verificando fila de impressão...');
+
+    // Verifica jobs na fila com WMIC
+    const { stdout } = await execPromise('wmic printjob list brief');
+
+    // Se há conteúdo além do cabeçalho, existem jobs na fila
+    const lines = stdout.split('\n').map(l => l.trim()).filter(Boolean);
+    const hasJobs = lines.length > 1;
+
+    log(`Jobs na fila de impressão: ${hasJobs ? 'Sim' : 'Não'}`);
+    return hasJobs;
+  } catch (error) {
+    log(`Erro ao verificar fila de impressão: ${error.message}`);
+    return false; // Assume que não há jobs em caso de erro
+  }
+}
+
+// Estados do spooler (PrinterStatus do Get-Printer) que impedem a impressão
+const SPOOLER_STATES = {
+  PaperOut: { state: 'paper_out', detail: 'Sem papel' },
+  PaperProblem: { state: 'paper_out', detail: 'Problema no papel' },
+  PaperJam: { state: 'error', detail: 'Papel atolado' },
+  DoorOpen: { state: 'cover_open', detail: 'Tampa aberta' },
+  Offline: { state: 'offline', detail: 'Impressora offline' },
+  NotAvailable: { state: 'offline', detail: 'Impressora não disponível' },
+  Paused: { state: 'error', detail: 'Impressão pausada no Windows' },
+  Error: { state: 'error', detail: 'Erro na impressora' },
+  UserIntervention: { state: 'error', detail: 'A impressora precisa de atenção' },
+  OutOfMemory: { state: 'error', detail: 'Impressora sem memória' }
+};
+
+/**
+ * Consulta o estado da impressora no spooler do Windows
+ * Impressoras USB simples nem sempre informam falta de papel ao spooler; nesse caso o estado fica "ok"
+ * @param {string} printerName - Nome da impressora
+ * @returns {Promise<{state: string, detail: string}>} Estado da impressora
+ */
+async function getPrinterStatus(printerName) {
+  try {
+    const { stdout } = await execPromise(
+      'powershell -NoProfile -Command "Get-Printer -Name $env:XCONDO_PRINTER_NAME | Select-Object -ExpandProperty PrinterStatus"',
+      { env: getScriptEnv({ XCONDO_PRINTER_NAME: printerName }) }
+    );
+    const status = stdout.trim();
+
+    return SPOOLER_STATES[status] || { state: 'ok', detail: status };
+  } catch (error) {
+    log(`Erro ao consultar estado da impressora "${printerName}": ${error.message}`);
+    return { state: 'unknown', detail: 'Não foi possível consultar o spooler do Windows' };
+  }
+}
+
+/**
+ * Obtém a lista de impressoras instaladas no sistema
+ * Inclui ampla lista de impressoras térmicas como fallback
+ * @returns {Promise<Array>} Lista de impressoras
+ */
+async function listPrinters() {
+  try {
+    log('Obtendo lista de impressoras');
+
+    // Lista expandida de impressoras térmicas comuns como fallback
+    const defaultPrinters = [
+      // Impressoras Bematech
+      { name: 'BEMATECH MP-4200 TH' },
+      { name: 'BEMATECH MP-4000 TH' },
+      { name: 'BEMATECH MP-100S TH' },
+      { name: 'BEMATECH MP-2800 TH' },
+      { name: 'BEMATECH MP-5100 TH' },
+      { name: 'BEMATECH MP-2500 TH' },
+      { name: 'BEMATECH MP-20 MI' },
+      { name: 'BEMATECH MP-2100 TH' },
+      { name: 'BEMATECH MP-4200' },
+      { name: 'MP-4200 TH' },
+      { name: 'MP-4000 TH' },
+      { name: 'MP-2800 TH' },
+
+      // Impressoras Epson
+      { name: 'EPSON TM-T20' },
+      { name: 'EPSON TM-T20II' },
+      { name: 'EPSON TM-T20III' },
+      { name: 'EPSON TM-T20X' },
+      { name: 'EPSON TM-T88V' },
+      { name: 'EPSON TM-T88VI' },
+      { name: 'EPSON TM-T88VII' },
+      { name: 'EPSON TM-m30' },
+      { name: 'EPSON TM-m10' },
+      { name: 'EPSON TM-m30II' },
+      { name: 'EPSON TM-U220' },
+      { name: 'EPSON L3210 Series' },
+      { name: 'EPSON L3150 Series' },
+      { name: 'TM-T20' },
+      { name: 'TM-T88V' },
+      { name: 'TM-T88VI' },
+
+      // Impressoras Daruma
+      { name: 'DARUMA DR800' },
+      { name: 'DARUMA DR700' },
+      { name: 'DARUMA DR600' },
+      { name: 'DARUMA DS348' },
+      { name: 'DARUMA DR2000' },
+      { name: 'DARUMA DR3000' },
+      { name: 'DR800' },
+      { name: 'DR700' },
+
+      // Impressoras Elgin
+      { name: 'ELGIN i9' },
+      { name: 'ELGIN i7' },
+      { name: 'ELGIN i5' },
+      { name: 'ELGIN VOX' },
+      { name: 'ELGIN VOX+' },
+      { name: 'ELGIN L42' },
+      { name: 'ELGIN L42 PRO' },
+      { name: 'ELGIN i9 USB' },
+      { name: 'I9' },
+      { name: 'I7' },
+
+      // Impressoras Diebold
+      { name: 'DIEBOLD TSP-143' },
+      { name: 'DIEBOLD IM453' },
+      { name: 'DIEBOLD IM433' },
+      { name: 'DIEBOLD IM402' },
+
+      // Impressoras Sweda
+      { name: 'SWEDA SI-300' },
+      { name: 'SWEDA SI-250' },
+      { name: 'SWEDA SI-150' },
+
+      // Impressoras Outros Fabricantes
+      { name: 'GERTEC G250' },
+      { name: 'GERTEC G280' },
+      { name: 'TANCA TP-550' },
+      { name: 'TANCA TP-650' },
+      { name: 'TOSHIBA TRST-A00' },
+      { name: 'EVADIN 80mm Printer' },
+      { name: 'CONTROLID PRINT iD' },
+      { name: 'CITIZEN CMP-20II' },
+      { name: 'CITIZEN CMP-30II' },
+
+      // Impressoras genéricas/drivers
+      { name: 'POS-58' },
+      { name: 'POS-80' },
+      { name: 'Thermal Receipt Printer' },
+      { name: 'Generic / Text Only' },
+      { name: 'Impressora Térmica' },
+      { name: 'Impressora Não Fiscal' },
+      { name: 'Impressora POS' },
+      { name: 'Impressora de Cupom' },
+
+      // Impressoras PDF e XPS
+      { name: 'Microsoft Print to PDF' },
+      { name: 'Microsoft XPS Document Writer' },
+      { name: 'PDFCreator' },
+      { name: 'Fax' }
+    ];
+
+    try {
+      // Tenta listar impressoras com WMIC (mais confiável)
+      const { stdout } = await execPromise('wmic printer get name');
+      const lines = stdout.split('\n').map(l => l.trim()).filter(Boolean);
+
+      // Remove o cabeçalho "Name"
+      if (lines.length > 0 && lines[0] === 'Name') {
+        lines.shift();
+      }
+
+      // Converte para o formato esperado
+      if (lines.length > 0) {
+        const printers = lines.map(name => ({ name }));
+        log(`${printers.length} impressoras encontradas via WMIC`);
+        return printers;
+      }
+    } catch (wmicError) {
+      log(`Erro ao listar impressoras com WMIC: ${wmicError.message}`);
+
+      // Tenta com PowerShell como alternativa
+      try {
+        const { stdout } = await execPromise('powershell -Command "Get-Printer | Select-Object -ExpandProperty Name"');
+        const printers = stdout.split('\n').map(l => l.trim()).filter(Boolean).map(name => ({ name }));
+
+        if (printers.length > 0) {
+          log(`${printers.length} impressoras encontradas via PowerShell`);
+          return printers;
+        }
+      } catch (psError) {
+        log(`Erro ao listar impressoras com PowerShell: ${psError.message}`);
+      }
+    }
+
+    // Retorna lista padrão expandida se não conseguir listar
+    log('Usando lista padrão expandida de impressoras térmicas');
+    return defaultPrinters;
+  } catch (error) {
+    log(`Erro geral ao listar impressoras: ${error.message}`);
+    return defaultPrinters;
+  }
+}
+
+/**
+ * Envia um arquivo para a impressora
+ * No layout de texto, define a impressora como padrão temporariamente e imprime pelo Notepad
+ * @param {string} filePath - Caminho do arquivo a ser impresso
+ * @param {string} printerName - Nome da impressora
+ * @param {Object} options - Opções de envio (raw: envia os bytes sem passar pelo driver gráfico)
+ * @returns {Promise<Object>} Informações do job (o Windows não retorna o ID do job)
+ */
+async function print(filePath, printerName, options = {}) {
+  if (path.extname(filePath) === '.pdf') {
+    throw new Error('O layout de página (PDF) não pode ser impresso pelo Windows. Use o modo texto/ESC/POS ou a pasta de impressão.');
+  }
+
+  if (options.raw) {
+    await printRawWithSpooler(filePath, printerName);
+    return {};
+  }
+
+  // Tenta configurar o tamanho do papel (opcional)
+  await configurePrinterPaperSize(printerName);
+
+  // Salva a impressora padrão atual
+  const defaultPrinter = await setDefaultPrinter(printerName);
+
+  try {
+    // Imprime usando Notepad (método mais confiável)
+    await printWithNotepad(filePath);
+    return {};
+  } finally {
+    // Restaura a impressora padrão anterior
+    if (defaultPrinter) {
+      log(`Restaurando impressora padrão anterior: ${defaultPrinter}`);
+      await setDefaultPrinter(defaultPrinter);
+    }
+  }
+}
+
+module.exports = {
+  name: 'windows',
+  listPrinters,
+  print,
+  checkPrintQueue,
+  getPrinterStatus
+};
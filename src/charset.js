@@ -0,0 +1,168 @@
+/**
+ * Codificação de caracteres por impressora
+ * Impressoras térmicas (Bematech, Elgin, Epson...) imprimem bytes de uma página de código,
+ * não UTF-8: o recibo precisa ser convertido para a página que a impressora espera
+ */
+
+const iconv = require('iconv-lite');
+const { wrapText } = require('./layout');
+
+// Codificações disponíveis; escpos é o nome da página no node-thermal-printer (comando ESC t).
+// codeTable marca as páginas do DOS: o driver do Windows (Notepad) lê o arquivo de texto como ANSI e trocaria
+// os acentos, então no modo texto elas vão direto à impressora (RAW), precedidas de ESC t <codeTable>
+const CHARSETS = {
+  utf8: { label: 'UTF-8', encoding: 'utf8', escpos: null, codeTable: null },
+  cp850: { label: 'CP850 (Multilingual)', encoding: 'cp850', escpos: 'PC850_MULTILINGUAL', codeTable: 2 },
+  cp860: { label: 'CP860 (Português)', encoding: 'cp860', escpos: 'PC860_PORTUGUESE', codeTable: 3 },
+  cp1252: { label: 'CP1252 (Windows Latin 1)', encoding: 'cp1252', escpos: 'WPC1252', codeTable: null },
+  ascii: { label: 'ASCII (sem acentos)', encoding: 'ascii', escpos: null, codeTable: null }
+};
+
+// Substituições de símbolos sem equivalente ASCII após remover os acentos
+const TRANSLITERATIONS = {
+  'º': 'o',
+  'ª': 'a',
+  '°': 'o',
+  'ß': 'ss',
+  'æ': 'ae',
+  'Æ': 'AE',
+  'ø': 'o',
+  'Ø': 'O',
+  '€': 'EUR',
+  '–': '-',
+  '—': '-',
+  '‘': "'",
+  '’': "'",
+  '“': '"',
+  '”': '"',
+  '…': '...',
+  '•': '*',
+  '\u00a0': ' '
+};
+
+/**
+ * Obtém a codificação configurada para uma impressora
+ * Sem configuração, mantém o comportamento anterior: UTF-8 no modo texto e CP860 no ESC/POS
+ * @param {Object} options - Configurações do aplicativo (printerCharsets, printMode)
+ * @param {string} printerId - Identificador da impressora
+ * @returns {string} Chave da codificação (utf8, cp850, cp860, cp1252, ascii)
+ */
+function getPrinterCharset(options = {}, printerId = '') {
+  const configured = options.printerCharsets && options.printerCharsets[printerId];
+  if (configured && CHARSETS[configured]) {
+    return configured;
+  }
+
+  return options.printMode === 'escpos' ? 'cp860' : 'utf8';
+}
+
+/**
+ * Verifica se o texto na codificação precisa ir direto à impressora, sem passar pelo driver
+ * @param {string} charset - Chave da codificação
+ * @returns {boolean} True para as páginas de código do DOS (CP850, CP860)
+ */
+function isRawTextCharset(charset) {
+  return Boolean(CHARSETS[charset] && CHARSETS[charset].codeTable !== null);
+}
+
+/**
+ * Monta o comando que seleciona a página de código na impressora (ESC t n), enviado antes do texto RAW
+ * @param {string} charset - Chave da codificação
+ * @returns {Buffer} Comando, ou vazio se a codificação não é uma página do DOS
+ */
+function getCodeTableCommand(charset) {
+  return isRawTextCharset(charset) ? Buffer.from([0x1b, 0x74, CHARSETS[charset].codeTable]) : Buffer.alloc(0);
+}
+
+/**
+ * Remove acentos e troca símbolos por equivalentes ASCII
+ * @param {string} text - Texto original
+ * @returns {string} Texto somente com caracteres ASCII
+ */
+function transliterate(text) {
+  let result = '';
+
+  for (const char of String(text)) {
+    if (/^[\x00-\x7F]$/.test(char)) {
+      result += char;
+    } else if (TRANSLITERATIONS[char] !== undefined) {
+      result += TRANSLITERATIONS[char];
+    } else {
+      const stripped = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+      result += /^[\x00-\x7F]+$/.test(stripped) ? stripped : '?';
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Prepara o texto para a codificação: caracteres que a página de código não tem são transliterados
+ * Evita que o node-thermal-printer troque de página no meio do recibo
+ * @param {string} text - Texto original
+ * @param {string} charset - Chave da codificação
+ * @returns {string} Texto imprimível na codificação
+ */
+function prepareText(text, charset) {
+  const { encoding } = CHARSETS[charset] || CHARSETS.utf8;
+  if (encoding === 'utf8') {
+    return String(text);
+  }
+  if (encoding === 'ascii') {
+    return transliterate(text);
+  }
+
+  let result = '';
+  for (const char of String(text)) {
+    const available = /^[\x00-\x7F]$/.test(char) || iconv.decode(iconv.encode(char, encoding), encoding) === char;
+    result += available ? char : transliterate(char);
+  }
+
+  return result;
+}
+
+/**
+ * Converte o texto do recibo em bytes na codificação da impressora
+ * @param {string} text - Texto do recibo
+ * @param {string} charset - Chave da codificação
+ * @returns {Buffer} Bytes codificados
+ */
+function encodeText(text, charset) {
+  const { encoding } = CHARSETS[charset] || CHARSETS.utf8;
+  return iconv.encode(prepareText(text, charset), encoding);
+}
+
+/**
+ * Monta o bloco de amostra de caracteres impresso no teste, para escolher a codificação correta
+ * @param {string} charset - Chave da codificação em uso
+ * @param {number} width - Largura em caracteres
+ * @returns {Array<Object>} Blocos do recibo
+ */
+function buildCharsetSample(charset, width) {
+  const { label } = CHARSETS[charset] || CHARSETS.utf8;
+  const lines = [
+    'á à â ã é ê í ó ô õ ú ü ç',
+    'Á À Â Ã É Ê Í Ó Ô Õ Ú Ü Ç',
+    'Ação, Pão, Café, Maçã, Você',
+    'Nº 1 | 1ª via | 25°C | R$ 9,99',
+    'Se houver símbolos estranhos acima, escolha outra codificação.'
+  ];
+
+  return [
+    { type: 'separator', char: '-' },
+    { type: 'text', text: 'AMOSTRA DE CARACTERES', align: 'center', bold: true },
+    { type: 'text', text: label, align: 'center' },
+    ...lines.flatMap(line => wrapText(line, width)).map(text => ({ type: 'text', text }))
+  ];
+}
+
+module.exports = {
+  CHARSETS,
+  getPrinterCharset,
+  isRawTextCharset,
+  getCodeTableCommand,
+  transliterate,
+  prepareText,
+  encodeText,
+  buildCharsetSample
+};
@@ -0,0 +1,130 @@
+/**
+ * Vias impressas para cada pedido (cliente, cozinha e entregador)
+ *
+ * A configuração printCopies guarda cada via pelo tipo:
+ *   { customer: { enabled, count, printerId, template }, kitchen: {...}, courier: {...} }
+ * printerId vazio usa a impressora principal; template vazio usa o modelo padrão da via.
+ * O modelo da via do cliente é o receiptTemplate, editado na aba "Modelo do Recibo".
+ *
+ * As impressoras reserva de cada via (fallbackPrinters) são texto, uma por linha, na ordem de uso:
+ *   cliente=EPSON TM-T20
+ *   cozinha=tcp://192.168.0.61:9100
+ *   cozinha=folder://
+ */
+
+const { DEFAULT_TEMPLATE, KITCHEN_TEMPLATE, COURIER_TEMPLATE } = require('./receipt');
+
+// Tipos de via, na ordem de impressão
+const COPY_TYPES = {
+  customer: { label: 'Via do Cliente', template: DEFAULT_TEMPLATE },
+  kitchen: { label: 'Via da Cozinha', template: KITCHEN_TEMPLATE },
+  courier: { label: 'Via do Entregador', template: COURIER_TEMPLATE }
+};
+
+// Limite de cópias por via, para evitar desperdício de papel por erro de digitação
+const MAX_COPY_COUNT = 5;
+
+// Nomes das vias usados nas configurações em texto
+const COPY_NAMES = {
+  cliente: 'customer',
+  customer: 'customer',
+  cozinha: 'kitchen',
+  kitchen: 'kitchen',
+  entregador: 'courier',
+  courier: 'courier'
+};
+
+/**
+ * Obtém o modelo padrão de um tipo de via
+ * @param {string} type - Tipo da via (customer, kitchen, courier)
+ * @returns {string} Modelo padrão
+ */
+function getDefaultCopyTemplate(type) {
+  return (COPY_TYPES[type] || COPY_TYPES.customer).template;
+}
+
+/**
+ * Limita a quantidade de cópias de uma via entre 1 e MAX_COPY_COUNT
+ * @param {*} count - Quantidade configurada
+ * @returns {number} Quantidade válida
+ */
+function clampCopyCount(count) {
+  return Math.min(MAX_COPY_COUNT, Math.max(1, parseInt(count) || 1));
+}
+
+/**
+ * Interpreta a lista de impressoras reserva das vias
+ * @param {string} text - Texto da configuração, uma linha "via=impressora" por impressora
+ * @returns {Object<string, Array<string>>} Impressoras reserva de cada tipo de via, na ordem configurada
+ */
+function parseFallbackPrinters(text) {
+  const fallbacks = {};
+
+  if (!text || typeof text !== 'string') {
+    return fallbacks;
+  }
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    const separatorIndex = line.indexOf('=');
+    const type = separatorIndex !== -1 ? COPY_NAMES[line.substring(0, separatorIndex).trim().toLowerCase()] : null;
+    const printerId = separatorIndex !== -1 ? line.substring(separatorIndex + 1).trim() : '';
+
+    if (type && printerId) {
+      fallbacks[type] = [...(fallbacks[type] || []), printerId];
+    }
+  }
+
+  return fallbacks;
+}
+
+/**
+ * Resolve impressora, quantidade e modelo de uma via, esteja ela ativa ou não
+ * @param {Object} config - Configurações do aplicativo (printCopies, printerId, receiptTemplate)
+ * @param {string} type - Tipo da via (customer, kitchen, courier)
+ * @returns {{type: string, label: string, count: number, printerId: string, fallbackPrinterIds: Array<string>, template: string}} Via resolvida
+ */
+function resolveCopy(config, type) {
+  const definition = COPY_TYPES[type];
+  const copy = (config.printCopies && config.printCopies[type]) || {};
+  const template = type === 'customer' ? config.receiptTemplate : copy.template;
+
+  return {
+    type,
+    label: definition.label,
+    count: clampCopyCount(copy.count),
+    printerId: copy.printerId || config.printerId || '',
+    fallbackPrinterIds: parseFallbackPrinters(config.fallbackPrinters)[type] || [],
+    template: template && template.trim() !== '' ? template : definition.template
+  };
+}
+
+/**
+ * Lista as vias ativas com impressora, quantidade e modelo resolvidos
+ * Sem vias configuradas, imprime apenas a via do cliente na impressora principal
+ * @param {Object} config - Configurações do aplicativo (printCopies, printerId, receiptTemplate)
+ * @returns {Array<{type: string, label: string, count: number, printerId: string, template: string}>} Vias a imprimir
+ */
+function getPrintCopies(config = {}) {
+  const settings = config.printCopies && Object.keys(config.printCopies).length > 0
+    ? config.printCopies
+    : { customer: { enabled: true } };
+
+  return Object.keys(COPY_TYPES)
+    .filter(type => settings[type] && settings[type].enabled)
+    .map(type => resolveCopy(config, type));
+}
+
+module.exports = {
+  COPY_TYPES,
+  COPY_NAMES,
+  clampCopyCount,
+  parseFallbackPrinters,
+  getDefaultCopyTemplate,
+  resolveCopy,
+  getPrintCopies
+};
@@ -0,0 +1,154 @@
+/**
+ * Renderização ESC/POS do recibo usando node-thermal-printer
+ * Gera os comandos nativos (negrito, altura dupla, corte) a partir dos blocos de src/receipt.js
+ */
+
+const { ThermalPrinter, PrinterTypes, CharacterSet, BreakLine } = require('node-thermal-printer');
+const { CHARSETS, prepareText } = require('./charset');
+
+// Linhas de pontos por comando raster; faixas menores evitam estourar o buffer de impressoras simples
+const RASTER_BAND_HEIGHT = 128;
+
+/**
+ * Aplica um bloco de texto com seu estilo ao buffer da impressora
+ * @param {ThermalPrinter} printer - Instância do node-thermal-printer
+ * @param {Object} block - Bloco de texto do recibo
+ * @param {string} charset - Codificação da impressora
+ */
+function printTextBlock(printer, block, charset) {
+  if (block.align === 'center') {
+    printer.alignCenter();
+  } else if (block.align === 'right') {
+    printer.alignRight();
+  }
+
+  if (block.size === 'double') {
+    printer.setTextDoubleHeight();
+  }
+
+  if (block.bold) {
+    printer.bold(true);
+  }
+
+  if (block.invert) {
+    printer.invert(true);
+  }
+
+  printer.println(prepareText(String(block.text || ''), charset));
+
+  // Restaura o estilo padrão para o próximo bloco
+  printer.setTextNormal();
+  printer.bold(false);
+  printer.invert(false);
+  printer.alignLeft();
+}
+
+/**
+ * Aplica um código de barras (CODE128) ou QR code nativo da impressora
+ * @param {ThermalPrinter} printer - Instância do node-thermal-printer
+ * @param {Object} block - Bloco de símbolo do recibo
+ */
+function printSymbolBlock(printer, block) {
+  if (block.align === 'left') {
+    printer.alignLeft();
+  } else if (block.align === 'right') {
+    printer.alignRight();
+  } else {
+    printer.alignCenter();
+  }
+
+  if (block.type === 'barcode') {
+    // Valor legível impresso abaixo das barras
+    printer.code128(prepareText(block.data, 'ascii'), { hriPos: 2, width: 2, height: 80 });
+    printer.newLine();
+  } else {
+    printer.printQR(block.data, { cellSize: 6, correction: 'M', model: 2 });
+  }
+
+  printer.alignLeft();
+}
+
+/**
+ * Aplica uma imagem em pontos pretos e brancos com o comando raster GS v 0
+ * @param {ThermalPrinter} printer - Instância do node-thermal-printer
+ * @param {Object} block - Bloco de imagem do recibo
+ */
+function printImageBlock(printer, block) {
+  const { raster } = block;
+
+  if (block.align === 'left') {
+    printer.alignLeft();
+  } else if (block.align === 'right') {
+    printer.alignRight();
+  } else {
+    printer.alignCenter();
+  }
+
+  for (let top = 0; top < raster.height; top += RASTER_BAND_HEIGHT) {
+    const rows = Math.min(RASTER_BAND_HEIGHT, raster.height - top);
+    const header = Buffer.from([
+      0x1D, 0x76, 0x30, 0x00,
+      raster.bytesPerRow & 0xFF, raster.bytesPerRow >> 8,
+      rows & 0xFF, rows >> 8
+    ]);
+    const start = top * raster.bytesPerRow;
+    printer.add(Buffer.concat([header, raster.data.subarray(start, start + rows * raster.bytesPerRow)]));
+  }
+
+  printer.alignLeft();
+}
+
+/**
+ * Converte o recibo estruturado em comandos ESC/POS
+ * @param {{width: number, blocks: Array}} receipt - Recibo estruturado
+ * @param {Object} options - Opções de saída
+ * @param {string} options.charset - Codificação da impressora (cp850, cp860, cp1252, ascii; padrão: cp860)
+ * @returns {Buffer} Bytes prontos para envio à impressora
+ */
+function renderEscPos(receipt, options = {}) {
+  // Impressoras térmicas não imprimem UTF-8: sem codificação específica, usa CP860 (português)
+  const charset = CHARSETS[options.charset] && options.charset !== 'utf8' ? options.charset : 'cp860';
+
+  const printer = new ThermalPrinter({
+    type: PrinterTypes.EPSON,
+    width: receipt.width,
+    breakLine: BreakLine.WORD
+  });
+
+  // Reinicia a impressora e seleciona a página de código; em ASCII mantém a página padrão
+  printer.initHardware();
+  if (CHARSETS[charset].escpos) {
+    printer.setCharacterSet(CharacterSet[CHARSETS[charset].escpos]);
+  }
+
+  for (const block of receipt.blocks) {
+    switch (block.type) {
+      case 'separator':
+        printer.drawLine(prepareText(block.char || '-', charset));
+        break;
+      case 'feed':
+        for (let i = 0; i < (block.lines || 1); i++) {
+          printer.newLine();
+        }
+        break;
+      case 'barcode':
+      case 'qrcode':
+        printSymbolBlock(printer, block);
+        break;
+      case 'image':
+        printImageBlock(printer, block);
+        break;
+      default:
+        printTextBlock(printer, block, charset);
+    }
+  }
+
+  // Corte automático do papel ao final do recibo
+  printer.cut();
+
+  return printer.getBuffer();
+}
+
+module.exports = {
+  renderEscPos
+};
@@ -0,0 +1,67 @@
+/**
+ * Destino "Imprimir em pasta": grava cada recibo renderizado em um diretório configurável
+ * Útil como arquivo de auditoria do que foi impresso e para testar o fluxo sem impressora
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Identificador do destino no seletor de impressoras (printerId)
+const FOLDER_PRINTER_ID = 'folder://';
+
+/**
+ * Verifica se o identificador da impressora corresponde ao destino de pasta
+ * @param {string} printerId - Identificador da impressora
+ * @returns {boolean} True se for o destino de pasta
+ */
+function isFolderPrinter(printerId) {
+  return String(printerId || '').trim() === FOLDER_PRINTER_ID;
+}
+
+/**
+ * Obtém o diretório onde os recibos são gravados
+ * @param {Object} options - Configurações do aplicativo (printFolder)
+ * @returns {string} Caminho absoluto do diretório
+ */
+function getPrintFolder(options = {}) {
+  if (options.printFolder && options.printFolder.trim() !== '') {
+    return path.resolve(options.printFolder.trim());
+  }
+
+  return path.join(process.cwd(), 'prints');
+}
+
+/**
+ * Grava o recibo renderizado na pasta configurada
+ * O nome do arquivo combina o ID do pedido e o horário da impressão
+ * @param {Object} order - Dados do pedido
+ * @param {{data: Buffer, extension: string}} output - Recibo renderizado (txt, bin ou pdf)
+ * @param {Object} options - Configurações do aplicativo (printFolder)
+ * @returns {string} Caminho do arquivo gravado
+ */
+function writeToFolder(order, output, options = {}) {
+  const folder = getPrintFolder(options);
+  if (!fs.existsSync(folder)) {
+    fs.mkdirSync(folder, { recursive: true });
+  }
+
+  // Ex: order-1234_2025-05-21T20-59-25-363Z.bin
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const safeId = String(order.id).replace(/[^\w-]/g, '_');
+  let filePath = path.join(folder, `order-${safeId}_${timestamp}.${output.extension}`);
+
+  // Várias vias no mesmo milissegundo não sobrescrevem umas às outras
+  for (let copy = 2; fs.existsSync(filePath); copy++) {
+    filePath = path.join(folder, `order-${safeId}_${timestamp}-${copy}.${output.extension}`);
+  }
+
+  fs.writeFileSync(filePath, output.data);
+  return filePath;
+}
+
+module.exports = {
+  FOLDER_PRINTER_ID,
+  isFolderPrinter,
+  getPrintFolder,
+  writeToFolder
+};
@@ -0,0 +1,222 @@
+/**
+ * Monitoramento do estado das impressoras (sem papel, tampa aberta, offline)
+ *
+ * A cada HEALTH_CHECK_INTERVAL as impressoras usadas pelas vias (principal, reservas e roteamento de itens)
+ * são consultadas: as de rede por DLE EOT (ver src/network.js) e as do sistema pelo spooler (ver src/backends).
+ * Um ticket fica bloqueado quando a sua impressora (a da via ou a do roteamento) e todas as reservas da via estão
+ * em um estado que impede a impressão; nesse caso só esse ticket espera a impressora voltar (ver isPrinterAvailable
+ * em printOrderCopies), e os das outras impressoras são impressos normalmente.
+ *
+ * A verificação só roda com a opção printerHealthCheck ligada (ver main.js), e não consulta a impressora
+ * que está recebendo um ticket naquele momento: o último estado conhecido dela é mantido.
+ */
+
+const { log } = require('./log');
+const { getPrintCopies } = require('./copies');
+const { parseItemRoutes } = require('./routing');
+const { isFolderPrinter } = require('./folder');
+const { parseNetworkPrinterId, queryNetworkPrinterStatus } = require('./network');
+const { getBackend } = require('./backends');
+const { getPrinterLabel, isPrinterBusy } = require('./printer');
+
+const HEALTH_CHECK_INTERVAL = 30 * 1000;
+
+// Descrição de cada estado para a interface
+const PRINTER_STATES = {
+  ok: 'Pronta',
+  paper_near_end: 'Papel acabando',
+  paper_out: 'Sem papel',
+  cover_open: 'Tampa aberta',
+  offline: 'Offline',
+  error: 'Com erro',
+  unknown: 'Estado desconhecido'
+};
+
+// Estados em que a impressão falharia; "unknown" não bloqueia, pois muitas impressoras não informam o estado
+const BLOCKING_STATES = ['paper_out', 'cover_open', 'offline', 'error'];
+
+let statuses = {};
+let healthTimer = null;
+let checking = false;
+
+/**
+ * Lista as impressoras usadas pelas vias ativas, sem repetições
+ * @param {Object} settings - Configurações do aplicativo
+ * @returns {Array<string>} Identificadores das impressoras
+ */
+function getMonitoredPrinters(settings) {
+  const printerIds = [];
+
+  for (const copy of getPrintCopies(settings)) {
+    printerIds.push(copy.printerId, ...copy.fallbackPrinterIds);
+
+    if (copy.type === 'kitchen') {
+      printerIds.push(...parseItemRoutes(settings.itemRoutes).map(route => route.printerId));
+    }
+  }
+
+  return [...new Set(printerIds.filter(Boolean))];
+}
+
+/**
+ * Consulta o estado de uma impressora
+ * @param {string} printerId - Identificador da impressora
+ * @param {Object} settings - Configurações do aplicativo (printerBackend)
+ * @returns {Promise<{state: string, detail: string}>} Estado da impressora
+ */
+async function queryPrinterStatus(printerId, settings) {
+  if (isFolderPrinter(printerId)) {
+    return { state: 'ok', detail: '' };
+  }
+
+  const networkAddress = parseNetworkPrinterId(printerId);
+  if (networkAddress) {
+    return await queryNetworkPrinterStatus(networkAddress.host, networkAddress.port);
+  }
+
+  return await getBackend(settings).getPrinterStatus(printerId);
+}
+
+/**
+ * Verifica se a impressora pode imprimir pelo último estado consultado
+ * @param {string} printerId - Identificador da impressora
+ * @returns {boolean} False se a impressora está sem papel, com a tampa aberta, offline ou com erro
+ */
+function isPrinterAvailable(printerId) {
+  const status = statuses[printerId];
+  return !status || !BLOCKING_STATES.includes(status.state);
+}
+
+/**
+ * Lista as impressoras de destino das vias ativas sem nenhuma impressora disponível, nem entre as reservas
+ * Na via da cozinha, as impressoras do roteamento de itens também são verificadas
+ * @param {Object} settings - Configurações do aplicativo
+ * @returns {Array<string>} Via e impressora bloqueadas (ex: "Via da Cozinha (Bar)")
+ */
+function getBlockedTargets(settings) {
+  const blocked = [];
+
+  for (const copy of getPrintCopies(settings)) {
+    const targets = [copy.printerId];
+    if (copy.type === 'kitchen') {
+      targets.push(...parseItemRoutes(settings.itemRoutes).map(route => route.printerId));
+    }
+
+    for (const printerId of new Set(targets.filter(Boolean))) {
+      if (![printerId, ...copy.fallbackPrinterIds].some(isPrinterAvailable)) {
+        blocked.push(`${copy.label} (${getPrinterLabel(printerId, settings)})`);
+      }
+    }
+  }
+
+  return blocked;
+}
+
+/**
+ * Resume o estado das impressoras e das vias
+ * @param {Object} settings - Configurações do aplicativo
+ * @returns {{enabled: boolean, printers: Array<Object>, blocked: Array<string>}} Se a verificação está ligada,
+ *          o estado de cada impressora monitorada e os destinos sem nenhuma impressora disponível
+ */
+function getPrinterHealth(settings = {}) {
+  const printers = getMonitoredPrinters(settings)
+    .filter(printerId => statuses[printerId])
+    .map(printerId => statuses[printerId]);
+
+  return { enabled: Boolean(healthTimer), printers, blocked: getBlockedTargets(settings) };
+}
+
+/**
+ * Consulta todas as impressoras monitoradas e avisa quando algum estado muda
+ * @param {Function} getSettings - Retorna as configurações atuais do aplicativo
+ * @param {Function} onChange - Recebe o resumo de getPrinterHealth
+ */
+async function checkPrinters(getSettings, onChange) {
+  if (checking) {
+    return;
+  }
+
+  checking = true;
+
+  try {
+    const settings = getSettings() || {};
+    const printerIds = getMonitoredPrinters(settings);
+    let changed = Object.keys(statuses).some(printerId => !printerIds.includes(printerId));
+
+    const current = {};
+    for (const printerId of printerIds) {
+      if (isPrinterBusy(printerId)) {
+        if (statuses[printerId]) {
+          current[printerId] = statuses[printerId];
+        }
+        continue;
+      }
+
+      const { state, detail } = await queryPrinterStatus(printerId, settings);
+      const previous = statuses[printerId];
+      const label = PRINTER_STATES[state] || state;
+
+      current[printerId] = {
+        printerId,
+        name: getPrinterLabel(printerId, settings),
+        state,
+        label,
+        detail: detail !== label ? detail : '',
+        checkedAt: new Date().toISOString()
+      };
+
+      if (!previous || previous.state !== state) {
+        changed = true;
+        if (previous || state !== 'ok') {
+          log(`Impressora ${printerId}: ${label}${current[printerId].detail ? ` (${current[printerId].detail})` : ''}`);
+        }
+      }
+    }
+
+    // A verificação pode ter sido desligada enquanto as impressoras eram consultadas
+    if (!healthTimer) {
+      return;
+    }
+
+    statuses = current;
+
+    if (changed && onChange) {
+      onChange(getPrinterHealth(settings));
+    }
+  } catch (error) {
+    log(`Erro ao verificar o estado das impressoras: ${error.message}`);
+  } finally {
+    checking = false;
+  }
+}
+
+/**
+ * Inicia a verificação periódica das impressoras
+ * @param {Function} getSettings - Retorna as configurações atuais do aplicativo
+ * @param {Function} onChange - Chamada quando o estado de alguma impressora muda
+ */
+function startHealthMonitor(getSettings, onChange) {
+  stopHealthMonitor();
+
+  healthTimer = setInterval(() => checkPrinters(getSettings, onChange), HEALTH_CHECK_INTERVAL);
+  checkPrinters(getSettings, onChange);
+}
+
+/**
+ * Para a verificação periódica das impressoras e esquece os estados consultados
+ */
+function stopHealthMonitor() {
+  if (healthTimer) {
+    clearInterval(healthTimer);
+    healthTimer = null;
+  }
+
+  statuses = {};
+}
+
+module.exports = {
+  startHealthMonitor,
+  stopHealthMonitor,
+  getPrinterHealth,
+  isPrinterAvailable
+};
@@ -0,0 +1,97 @@
+/**
+ * Quebra de linhas e alinhamento de colunas do recibo em largura fixa de caracteres
+ * Usado pelos modelos (src/template.js) para que nenhuma linha ultrapasse a largura configurada
+ */
+
+/**
+ * Quebra o texto em palavras inteiras, recuando as linhas de continuação
+ * Palavras maiores que a largura são cortadas
+ * @param {string} text - Texto da linha
+ * @param {number} width - Largura em caracteres
+ * @param {number} indent - Recuo das linhas de continuação
+ * @returns {Array<string>} Linhas resultantes
+ */
+function wrapText(text, width, indent = 0) {
+  if (text.length <= width) {
+    return [text];
+  }
+
+  // O recuo nunca ocupa mais da metade da linha
+  const padding = ' '.repeat(Math.min(Math.max(0, indent), Math.floor(width / 2)));
+  const lines = [];
+  let rest = text;
+  let prefix = '';
+
+  while ((prefix + rest).length > width) {
+    const room = width - prefix.length;
+    const leading = /^ */.exec(rest)[0].length;
+
+    // Quebra no último espaço que cabe na linha, sem separar "R$" do valor; sem espaço, corta a palavra
+    let breakAt = rest.lastIndexOf(' ', room);
+    while (breakAt > leading && rest.substring(0, breakAt).endsWith('R$')) {
+      breakAt = rest.lastIndexOf(' ', breakAt - 1);
+    }
+    if (breakAt <= leading) {
+      breakAt = room;
+    }
+
+    lines.push(prefix + rest.substring(0, breakAt).trimEnd());
+    rest = rest.substring(breakAt).trimStart();
+    prefix = padding;
+  }
+
+  if (rest !== '') {
+    lines.push(prefix + rest);
+  }
+
+  return lines;
+}
+
+/**
+ * Alinha colunas na largura: o espaço livre é distribuído entre os preenchimentos,
+ * deixando a última coluna (normalmente um valor em R$) encostada à direita
+ * Se o conteúdo não couber, as colunas da esquerda são quebradas e a última
+ * fica alinhada à direita na última linha (ou em uma linha própria)
+ * @param {Array<string>} segments - Textos entre os preenchimentos
+ * @param {Array<string>} fillChars - Caractere de cada preenchimento
+ * @param {number} width - Largura em caracteres
+ * @param {number} indent - Recuo das linhas de continuação
+ * @returns {Array<string>} Linhas resultantes
+ */
+function alignColumns(segments, fillChars, width, indent = 0) {
+  const natural = segments.join('').length;
+
+  if (natural + fillChars.length <= width) {
+    const free = width - natural;
+    const base = Math.floor(free / fillChars.length);
+    let extra = free - base * fillChars.length;
+
+    return [segments.reduce((line, segment, index) => {
+      if (index === 0) {
+        return segment;
+      }
+      const size = base + (extra-- > 0 ? 1 : 0);
+      return line + fillChars[index - 1].repeat(size) + segment;
+    }, '')];
+  }
+
+  const right = segments[segments.length - 1];
+  const fillChar = fillChars[fillChars.length - 1];
+  const lines = wrapText(segments.slice(0, -1).join(' '), width, indent);
+  const lastLine = lines.pop();
+
+  if (lastLine.length + 1 + right.length <= width) {
+    lines.push(lastLine + fillChar.repeat(width - lastLine.length - right.length) + right);
+  } else if (right.length < width) {
+    lines.push(lastLine, ' '.repeat(width - right.length) + right);
+  } else {
+    lines.push(lastLine, ...wrapText(right, width, indent));
+  }
+
+  return lines;
+}
+
+module.exports = {
+  wrapText,
+  alignColumns
+};
@@ -0,0 +1,21 @@
+const fs = require('fs');
+
+/**
+ * Registra uma mensagem no log de impressão (printer-log.txt) e no console
+ * @param {string} message - Mensagem a ser registrada
+ */
+function log(message) {
+  const timestamp = new Date().toISOString();
+  const logLine = `${timestamp} - ${message}\n`;
+
+  try {
+    fs.appendFileSync('printer-log.txt', logLine);
+    console.log(message);
+  } catch (err) {
+    console.error(`Erro ao registrar log: ${err.message}`);
+  }
+}
+
+module.exports = {
+  log
+};
@@ -0,0 +1,168 @@
+/**
+ * Logotipo da loja impresso no topo do recibo
+ * A imagem PNG/JPG é reduzida para a largura em pontos da cabeça de impressão e convertida
+ * em preto e branco por difusão de erro (Floyd-Steinberg), pronta para o comando raster do ESC/POS
+ */
+
+const fs = require('fs');
+const { PNG } = require('pngjs');
+const jpeg = require('jpeg-js');
+
+// Largura da cabeça de impressão em pontos: bobinas de 58 mm (32 colunas) e 80 mm (48 colunas)
+const DOTS_58MM = 384;
+const DOTS_80MM = 576;
+
+// Altura máxima do logotipo em pontos (cerca de 30 mm), para não gastar papel
+const MAX_LOGO_HEIGHT = 240;
+
+// Último logotipo carregado, reaproveitado enquanto o arquivo e a largura não mudam
+let cachedLogo = null;
+
+/**
+ * Obtém a largura em pontos da cabeça de impressão pela largura do recibo em caracteres
+ * @param {number} width - Largura do recibo em caracteres
+ * @returns {number} Largura em pontos (384 ou 576)
+ */
+function getDotWidth(width) {
+  return (parseInt(width) || 48) <= 32 ? DOTS_58MM : DOTS_80MM;
+}
+
+/**
+ * Decodifica uma imagem PNG ou JPG
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @returns {{width: number, height: number, data: Buffer}} Pixels RGBA
+ */
+function decodeImage(buffer) {
+  if (buffer.length > 8 && buffer.readUInt32BE(0) === 0x89504E47) {
+    return PNG.sync.read(buffer);
+  }
+  if (buffer.length > 2 && buffer[0] === 0xFF && buffer[1] === 0xD8) {
+    return jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+  }
+
+  throw new Error('Formato de imagem não suportado. Use um arquivo PNG ou JPG.');
+}
+
+/**
+ * Reduz a imagem para tons de cinza na largura de destino, com fundo branco nas áreas transparentes
+ * Cada ponto de destino é a média dos pixels de origem que ele cobre
+ * @param {Object} image - Imagem decodificada (RGBA)
+ * @param {number} width - Largura de destino em pontos
+ * @param {number} height - Altura de destino em pontos
+ * @returns {Float32Array} Luminância de 0 (preto) a 255 (branco)
+ */
+function resizeToGray(image, width, height) {
+  const gray = new Float32Array(width * height);
+  const scaleX = image.width / width;
+  const scaleY = image.height / height;
+
+  for (let y = 0; y < height; y++) {
+    const top = Math.floor(y * scaleY);
+    const bottom = Math.max(top + 1, Math.floor((y + 1) * scaleY));
+
+    for (let x = 0; x < width; x++) {
+      const left = Math.floor(x * scaleX);
+      const right = Math.max(left + 1, Math.floor((x + 1) * scaleX));
+      let sum = 0;
+      let count = 0;
+
+      for (let sy = top; sy < bottom; sy++) {
+        for (let sx = left; sx < right; sx++) {
+          const i = (sy * image.width + sx) * 4;
+          const alpha = image.data[i + 3] / 255;
+          const luminance = 0.299 * image.data[i] + 0.587 * image.data[i + 1] + 0.114 * image.data[i + 2];
+          sum += luminance * alpha + 255 * (1 - alpha);
+          count++;
+        }
+      }
+
+      gray[y * width + x] = sum / count;
+    }
+  }
+
+  return gray;
+}
+
+/**
+ * Converte a imagem em pontos pretos e brancos no formato raster do ESC/POS
+ * @param {Object} image - Imagem decodificada (RGBA)
+ * @param {number} dotWidth - Largura da cabeça de impressão em pontos
+ * @returns {{width: number, height: number, bytesPerRow: number, data: Buffer}} Bitmap (1 = ponto preto, bit mais significativo à esquerda)
+ */
+function ditherImage(image, dotWidth) {
+  // Reduz para caber na largura e na altura máxima, sem ampliar imagens pequenas
+  const scale = Math.min(1, dotWidth / image.width, MAX_LOGO_HEIGHT / image.height);
+  const width = Math.max(1, Math.round(image.width * scale));
+  const height = Math.max(1, Math.round(image.height * scale));
+  const gray = resizeToGray(image, width, height);
+
+  const bytesPerRow = Math.ceil(width / 8);
+  const data = Buffer.alloc(bytesPerRow * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const black = gray[i] < 128;
+      const error = gray[i] - (black ? 0 : 255);
+
+      if (black) {
+        data[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+
+      // Distribui o erro para os vizinhos ainda não processados
+      if (x + 1 < width) gray[i + 1] += error * 7 / 16;
+      if (y + 1 < height) {
+        if (x > 0) gray[i + width - 1] += error * 3 / 16;
+        gray[i + width] += error * 5 / 16;
+        if (x + 1 < width) gray[i + width + 1] += error / 16;
+      }
+    }
+  }
+
+  return { width, height, bytesPerRow, data };
+}
+
+/**
+ * Carrega o logotipo configurado, já convertido para a largura da impressora
+ * @param {string} filePath - Caminho do arquivo PNG/JPG
+ * @param {number} dotWidth - Largura da cabeça de impressão em pontos
+ * @returns {Object} Bitmap do logotipo (ver ditherImage)
+ */
+function loadLogo(filePath, dotWidth) {
+  const stats = fs.statSync(filePath);
+  const key = `${filePath}|${stats.mtimeMs}|${dotWidth}`;
+
+  if (cachedLogo && cachedLogo.key === key) {
+    return cachedLogo.raster;
+  }
+
+  const raster = ditherImage(decodeImage(fs.readFileSync(filePath)), dotWidth);
+  cachedLogo = { key, raster };
+  return raster;
+}
+
+/**
+ * Converte o bitmap do logotipo em PNG (usado no PDF)
+ * @param {Object} raster - Bitmap do logotipo
+ * @returns {Buffer} Conteúdo PNG
+ */
+function rasterToPng(raster) {
+  const png = new PNG({ width: raster.width, height: raster.height });
+
+  for (let y = 0; y < raster.height; y++) {
+    for (let x = 0; x < raster.width; x++) {
+      const black = raster.data[y * raster.bytesPerRow + (x >> 3)] & (0x80 >> (x & 7));
+      const i = (y * raster.width + x) * 4;
+      png.data[i] = png.data[i + 1] = png.data[i + 2] = black ? 0 : 255;
+      png.data[i + 3] = 255;
+    }
+  }
+
+  return PNG.sync.write(png);
+}
+
+module.exports = {
+  getDotWidth,
+  loadLogo,
+  rasterToPng
+};
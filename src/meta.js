@@ -0,0 +1,206 @@
+/**
+ * Filtro e renomeação de metadados (meta_data) do WooCommerce para impressão
+ *
+ * Campos do pedido (ex: torre, bloco e apartamento do checkout) são mapeados por texto, um por linha,
+ * na ordem em que aparecem no recibo, com a posição opcional após "|" (ver FIELD_POSITIONS):
+ *   _billing_torre=Torre|cabecalho
+ *   _billing_apartamento=Apto
+ *   _billing_portaria=Portaria|rodape
+ *
+ * Os metadados dos itens são filtrados por regras, uma por linha ("*" aceita qualquer sequência de caracteres):
+ *   !_*                 Oculta as chaves que combinam com o padrão
+ *   pa_tamanho=Tamanho  Exibe a chave com outro rótulo
+ *   sabor               Exibe somente as chaves listadas (se houver alguma linha assim)
+ *   # comentário        Ignorado
+ *
+ * Os padrões são comparados com a chave (key) e com o rótulo do WooCommerce (display_key), sem diferenciar maiúsculas.
+ */
+
+// Posições dos campos do pedido no recibo; sem posição, o campo vai no bloco ENTREGA
+const FIELD_POSITIONS = {
+  cabecalho: 'header',
+  header: 'header',
+  entrega: 'delivery',
+  delivery: 'delivery',
+  itens: 'items',
+  items: 'items',
+  rodape: 'footer',
+  footer: 'footer'
+};
+
+// Regras usadas quando nenhuma é configurada: chaves internas (iniciadas por "_") e comissões do Dokan ficam ocultas
+const DEFAULT_META_FILTER = '!_*\n!*dokan_commission*';
+
+/**
+ * Converte um padrão com "*" em expressão regular
+ * @param {string} pattern - Padrão da regra
+ * @returns {RegExp} Expressão equivalente
+ */
+function patternToRegex(pattern) {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Interpreta as regras de filtro de metadados
+ * @param {string} text - Texto da configuração (vazio: DEFAULT_META_FILTER)
+ * @returns {{hide: Array<RegExp>, show: Array<RegExp>, labels: Array<{pattern: RegExp, label: string}>}} Regras
+ */
+function parseMetaFilter(text) {
+  const source = typeof text === 'string' && text.trim() !== '' ? text : DEFAULT_META_FILTER;
+  const rules = { hide: [], show: [], labels: [] };
+
+  for (const rawLine of source.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    if (line.startsWith('!')) {
+      rules.hide.push(patternToRegex(line.substring(1).trim()));
+      continue;
+    }
+
+    const separatorIndex = line.indexOf('=');
+    if (separatorIndex !== -1) {
+      rules.labels.push({
+        pattern: patternToRegex(line.substring(0, separatorIndex).trim()),
+        label: line.substring(separatorIndex + 1).trim()
+      });
+    } else {
+      rules.show.push(patternToRegex(line));
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Interpreta o mapeamento de campos do pedido
+ * @param {string} text - Texto da configuração, uma linha "chave=Rótulo|posição" por campo
+ * @returns {Array<{key: string, label: string, position: string}>} Campos na ordem configurada
+ *          (position: header, delivery, items ou footer)
+ */
+function parseFieldMapping(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  const fields = [];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    // O trecho após o último "|" só é a posição se for uma posição conhecida; senão faz parte do rótulo
+    // (ex: "portao=Portão | Interfone")
+    const positionIndex = line.lastIndexOf('|');
+    const positionName = positionIndex !== -1
+      ? line.substring(positionIndex + 1).trim().normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+      : '';
+    const mapping = FIELD_POSITIONS[positionName] ? line.substring(0, positionIndex) : line;
+
+    const separatorIndex = mapping.indexOf('=');
+    const key = (separatorIndex !== -1 ? mapping.substring(0, separatorIndex) : mapping).trim();
+    const label = separatorIndex !== -1 ? mapping.substring(separatorIndex + 1).trim() : '';
+
+    if (key) {
+      fields.push({ key, label: label || key, position: FIELD_POSITIONS[positionName] || 'delivery' });
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Converte o valor do metadado em texto, descartando objetos e marcações HTML
+ * @param {*} value - Valor do metadado
+ * @returns {string} Texto ou vazio se não for imprimível
+ */
+function metaValueToText(value) {
+  if (value === null || value === undefined || typeof value === 'object') {
+    return '';
+  }
+
+  return String(value).replace(/<[^>]*>/g, '').trim();
+}
+
+/**
+ * Aplica as regras aos metadados de um pedido ou item
+ * @param {Array} metaData - Lista meta_data do WooCommerce ({key, value, display_key, display_value})
+ * @param {Object} rules - Regras de parseMetaFilter
+ * @returns {Array<{key: string, label: string, value: string}>} Metadados exibidos, com o rótulo final
+ */
+function filterMeta(metaData, rules) {
+  if (!Array.isArray(metaData)) {
+    return [];
+  }
+
+  const result = [];
+
+  for (const meta of metaData) {
+    if (!meta || !meta.key) {
+      continue;
+    }
+
+    const names = [meta.key, meta.display_key].filter(Boolean).map(String);
+    const matches = (pattern) => names.some(name => pattern.test(name));
+
+    if (rules.hide.some(matches)) {
+      continue;
+    }
+
+    const labelRule = rules.labels.find(rule => matches(rule.pattern));
+    if (!labelRule && rules.show.length > 0 && !rules.show.some(matches)) {
+      continue;
+    }
+
+    const value = metaValueToText(meta.display_value !== undefined ? meta.display_value : meta.value);
+    if (!value) {
+      continue;
+    }
+
+    result.push({
+      key: meta.key,
+      label: labelRule && labelRule.label ? labelRule.label : (meta.display_key || meta.key),
+      value
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Obtém os valores dos campos mapeados nos metadados do pedido
+ * @param {Array} metaData - Lista meta_data do pedido
+ * @param {Array<{key: string, label: string, position: string}>} fields - Campos de parseFieldMapping
+ * @returns {Array<{key: string, label: string, position: string, value: string}>} Campos preenchidos, na ordem do mapeamento
+ */
+function mapFields(metaData, fields) {
+  if (!Array.isArray(metaData)) {
+    return [];
+  }
+
+  const result = [];
+
+  for (const field of fields) {
+    const meta = metaData.find(m => m && m.key === field.key);
+    const value = meta ? metaValueToText(meta.value) : '';
+
+    if (value) {
+      result.push({ key: field.key, label: field.label, position: field.position || 'delivery', value });
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  DEFAULT_META_FILTER,
+  parseMetaFilter,
+  filterMeta,
+  parseFieldMapping,
+  mapFields
+};
@@ -0,0 +1,244 @@
+/**
+ * Impressoras térmicas de rede (Ethernet) acessadas por socket TCP RAW, normalmente na porta 9100
+ * Os bytes do recibo são enviados direto ao socket, sem driver ou spooler do sistema
+ */
+
+const net = require('net');
+
+const DEFAULT_PORT = 9100;
+const DEFAULT_CONNECT_TIMEOUT = 5000;
+const DEFAULT_WRITE_TIMEOUT = 10000;
+const DEFAULT_STATUS_TIMEOUT = 3000;
+
+// Consultas de estado em tempo real (DLE EOT n): estado da impressora (1), causa do offline (2) e sensor de papel (4)
+const STATUS_QUERY = Buffer.from([0x10, 0x04, 0x01, 0x10, 0x04, 0x02, 0x10, 0x04, 0x04]);
+
+// Prefixo usado no printerId para identificar impressoras de rede (ex: tcp://192.168.0.50:9100)
+const NETWORK_PREFIX = 'tcp://';
+
+/**
+ * Interpreta o identificador de uma impressora de rede
+ * @param {string} printerId - Identificador no formato tcp://host:porta
+ * @returns {{host: string, port: number}|null} Endereço ou null se não for impressora de rede
+ */
+function parseNetworkPrinterId(printerId) {
+  const match = /^tcp:\/\/([^/:]+)(?::(\d+))?\/?$/i.exec(String(printerId || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  return {
+    host: match[1],
+    port: parseInt(match[2]) || DEFAULT_PORT
+  };
+}
+
+/**
+ * Interpreta a lista de impressoras de rede configurada pelo usuário
+ * Uma impressora por linha, nos formatos "Nome=host:porta", "host:porta" ou "host"
+ * @param {string} text - Texto da configuração
+ * @returns {Array<{id: string, name: string, host: string, port: number}>} Impressoras válidas
+ */
+function parseNetworkPrinterList(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  const printers = [];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    let name = '';
+    let address = line;
+    const separatorIndex = line.indexOf('=');
+    if (separatorIndex !== -1) {
+      name = line.substring(0, separatorIndex).trim();
+      address = line.substring(separatorIndex + 1).trim();
+    }
+
+    const parsed = parseNetworkPrinterId(
+      address.toLowerCase().startsWith(NETWORK_PREFIX) ? address : `${NETWORK_PREFIX}${address}`
+    );
+    if (!parsed) {
+      continue;
+    }
+
+    printers.push({
+      id: `${NETWORK_PREFIX}${parsed.host}:${parsed.port}`,
+      name: name || `${parsed.host}:${parsed.port}`,
+      host: parsed.host,
+      port: parsed.port
+    });
+  }
+
+  return printers;
+}
+
+/**
+ * Traduz erros de socket em mensagens claras para a interface
+ * @param {Error} error - Erro original do socket
+ * @param {string} address - Endereço host:porta da impressora
+ * @returns {string} Mensagem de erro
+ */
+function describeSocketError(error, address) {
+  switch (error.code) {
+    case 'ECONNREFUSED':
+      return `Impressora de rede ${address} recusou a conexão. Verifique se a porta está correta e a impressora ligada.`;
+    case 'EHOSTUNREACH':
+    case 'ENETUNREACH':
+      return `Impressora de rede ${address} inacessível. Verifique o cabo de rede e o endereço IP.`;
+    case 'ENOTFOUND':
+    case 'EAI_AGAIN':
+      return `Endereço da impressora de rede ${address} não encontrado.`;
+    case 'ECONNRESET':
+    case 'EPIPE':
+      return `Conexão com a impressora de rede ${address} foi interrompida durante o envio.`;
+    case 'ETIMEDOUT':
+      return `Tempo esgotado na conexão com a impressora de rede ${address}.`;
+    default:
+      return `Erro na impressora de rede ${address}: ${error.message}`;
+  }
+}
+
+/**
+ * Envia bytes diretamente para uma impressora de rede via TCP
+ * @param {string} host - Endereço IP ou nome da impressora
+ * @param {number} port - Porta TCP (padrão: 9100)
+ * @param {Buffer} data - Bytes do recibo
+ * @param {Object} options - Tempos limite em milissegundos (connectTimeout, writeTimeout)
+ * @returns {Promise<boolean>} Sucesso do envio
+ */
+function sendToNetworkPrinter(host, port, data, options = {}) {
+  const connectTimeout = options.connectTimeout || DEFAULT_CONNECT_TIMEOUT;
+  const writeTimeout = options.writeTimeout || DEFAULT_WRITE_TIMEOUT;
+  const address = `${host}:${port || DEFAULT_PORT}`;
+
+  return new Promise((resolve, reject) => {
+    const socket = new net.Socket();
+    let settled = false;
+    let timer = null;
+
+    const finish = (error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      socket.destroy();
+
+      if (error) {
+        reject(error);
+      } else {
+        resolve(true);
+      }
+    };
+
+    timer = setTimeout(() => {
+      finish(new Error(`Tempo esgotado ao conectar à impressora de rede ${address} (${connectTimeout} ms).`));
+    }, connectTimeout);
+
+    socket.once('error', (error) => finish(new Error(describeSocketError(error, address))));
+
+    socket.connect(port || DEFAULT_PORT, host, () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        finish(new Error(`Tempo esgotado ao enviar dados para a impressora de rede ${address} (${writeTimeout} ms).`));
+      }, writeTimeout);
+
+      // Encerra a conexão após o envio; o callback indica que todos os bytes foram entregues ao socket
+      socket.end(data, () => finish());
+    });
+  });
+}
+
+/**
+ * Interpreta as respostas do DLE EOT
+ * Cada byte de resposta tem os bits 1 e 4 ligados e os bits 0 e 7 desligados; bytes fora desse padrão são ignorados
+ * @param {Buffer} response - Bytes recebidos da impressora
+ * @returns {{state: string, detail: string}} Estado (ok, paper_near_end, paper_out, cover_open, offline, error, unknown)
+ */
+function parseStatusResponse(response) {
+  const bytes = Array.from(response).filter(byte => (byte & 0x93) === 0x12);
+  if (bytes.length === 0) {
+    return { state: 'unknown', detail: 'A impressora não respondeu à consulta de estado (DLE EOT)' };
+  }
+
+  const [printerStatus = 0x12, offlineCause = 0x12, paperStatus = 0x12] = bytes;
+
+  if (offlineCause & 0x04) {
+    return { state: 'cover_open', detail: 'Tampa aberta' };
+  }
+  if ((offlineCause & 0x20) || (paperStatus & 0x60) === 0x60) {
+    return { state: 'paper_out', detail: 'Sem papel' };
+  }
+  if (offlineCause & 0x40) {
+    return { state: 'error', detail: 'Erro na impressora (guilhotina ou cabeça de impressão)' };
+  }
+  if (printerStatus & 0x08) {
+    return { state: 'offline', detail: 'Impressora offline' };
+  }
+  if ((paperStatus & 0x0C) === 0x0C) {
+    return { state: 'paper_near_end', detail: 'Papel acabando' };
+  }
+
+  return { state: 'ok', detail: '' };
+}
+
+/**
+ * Consulta o estado em tempo real de uma impressora de rede ESC/POS (DLE EOT)
+ * Nunca rejeita: falhas de conexão são informadas como estado offline
+ * @param {string} host - Endereço IP ou nome da impressora
+ * @param {number} port - Porta TCP (padrão: 9100)
+ * @param {Object} options - Tempo limite em milissegundos (timeout)
+ * @returns {Promise<{state: string, detail: string}>} Estado da impressora
+ */
+function queryNetworkPrinterStatus(host, port, options = {}) {
+  const timeout = options.timeout || DEFAULT_STATUS_TIMEOUT;
+  const address = `${host}:${port || DEFAULT_PORT}`;
+
+  return new Promise((resolve) => {
+    const socket = new net.Socket();
+    let response = Buffer.alloc(0);
+    let connected = false;
+    let settled = false;
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      socket.destroy();
+      resolve(result);
+    };
+
+    // Sem resposta completa no tempo limite, usa o que chegou (algumas impressoras só respondem ao DLE EOT 1)
+    const timer = setTimeout(() => {
+      finish(connected
+        ? parseStatusResponse(response)
+        : { state: 'offline', detail: `Tempo esgotado ao conectar à impressora de rede ${address}` });
+    }, timeout);
+
+    socket.once('error', (error) => finish({ state: 'offline', detail: describeSocketError(error, address) }));
+
+    socket.on('data', (chunk) => {
+      response = Buffer.concat([response, chunk]);
+      if (response.length >= 3) {
+        finish(parseStatusResponse(response));
+      }
+    });
+
+    socket.connect(port || DEFAULT_PORT, host, () => {
+      connected = true;
+      socket.write(STATUS_QUERY);
+    });
+  });
+}
+
+module.exports = {
+  NETWORK_PREFIX,
+  parseNetworkPrinterId,
+  parseNetworkPrinterList,
+  sendToNetworkPrinter,
+  queryNetworkPrinterStatus
+};
@@ -0,0 +1,158 @@
+/**
+ * Renderização do recibo em layout de página (PDF) usando pdfkit
+ * A página tem a largura de uma bobina de 80 mm e a altura do conteúdo
+ */
+
+const PDFDocument = require('pdfkit');
+const bwipjs = require('bwip-js');
+const { rasterToPng } = require('./logo');
+
+// 80 mm em pontos PDF (1 mm = 72 / 25.4 pt)
+const PAGE_WIDTH = 80 * 72 / 25.4;
+const PAGE_MARGIN = 8;
+
+// Largura de um caractere Courier em relação ao tamanho da fonte
+const COURIER_CHAR_WIDTH = 0.6;
+
+// Tamanho máximo dos símbolos na página, em pontos
+const QRCODE_SIZE = 110;
+const BARCODE_HEIGHT = 50;
+
+/**
+ * Gera a imagem PNG de um código de barras (CODE128) ou QR code
+ * @param {Object} block - Bloco de símbolo do recibo
+ * @param {number} contentWidth - Largura útil da página
+ * @returns {Promise<Object>} Linha de imagem com dimensões na página
+ */
+async function renderSymbol(block, contentWidth) {
+  const isBarcode = block.type === 'barcode';
+  const image = await bwipjs.toBuffer(isBarcode
+    ? { bcid: 'code128', text: block.data, scale: 3, height: 12, includetext: true, textxalign: 'center' }
+    : { bcid: 'qrcode', text: block.data, scale: 3 });
+
+  // Dimensões do PNG (cabeçalho IHDR), mantendo a proporção dentro dos limites da página
+  const width = image.readUInt32BE(16);
+  const height = image.readUInt32BE(20);
+  const maxWidth = isBarcode ? contentWidth : Math.min(QRCODE_SIZE, contentWidth);
+  const maxHeight = isBarcode ? BARCODE_HEIGHT : QRCODE_SIZE;
+  const scale = Math.min(maxWidth / width, maxHeight / height);
+
+  return {
+    image,
+    width: width * scale,
+    height: height * scale + 4,
+    align: block.align || 'center'
+  };
+}
+
+/**
+ * Prepara a imagem em pontos (logotipo) na mesma proporção da largura da bobina
+ * @param {Object} block - Bloco de imagem do recibo
+ * @param {number} contentWidth - Largura útil da página
+ * @returns {Object} Linha de imagem com dimensões na página
+ */
+function renderImage(block, contentWidth) {
+  const width = contentWidth * Math.min(1, block.raster.width / block.dotWidth);
+  const height = width * block.raster.height / block.raster.width;
+
+  return {
+    image: rasterToPng(block.raster),
+    width,
+    height: height + 4,
+    align: block.align || 'center'
+  };
+}
+
+/**
+ * Converte o recibo estruturado em um documento PDF
+ * @param {{width: number, blocks: Array}} receipt - Recibo estruturado
+ * @returns {Promise<Buffer>} Conteúdo do arquivo PDF
+ */
+async function renderPdf(receipt) {
+  const contentWidth = PAGE_WIDTH - PAGE_MARGIN * 2;
+
+  // Logotipo, códigos de barras e QR codes viram imagens antes da montagem da página
+  const symbols = await Promise.all(receipt.blocks.map(block => {
+    if (block.type === 'image') {
+      return renderImage(block, contentWidth);
+    }
+    return block.type === 'barcode' || block.type === 'qrcode' ? renderSymbol(block, contentWidth) : null;
+  }));
+
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ autoFirstPage: false, margin: PAGE_MARGIN });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      // Tamanho da fonte para que a largura configurada em caracteres ocupe a linha inteira
+      const fontSize = contentWidth / (receipt.width * COURIER_CHAR_WIDTH);
+
+      // Primeira passada: calcula a altura de cada linha para dimensionar a página
+      const lines = receipt.blocks.map((block, index) => {
+        if (symbols[index]) {
+          return symbols[index];
+        }
+        if (block.type === 'separator') {
+          return { text: (block.char || '-').repeat(receipt.width), font: 'Courier', size: fontSize };
+        }
+        if (block.type === 'feed') {
+          return { text: '\n'.repeat(Math.max(0, (block.lines || 1) - 1)), font: 'Courier', size: fontSize };
+        }
+        return {
+          text: String(block.text || ''),
+          font: block.bold ? 'Courier-Bold' : 'Courier',
+          size: block.size === 'double' ? fontSize * 2 : fontSize,
+          align: block.align || 'left',
+          invert: Boolean(block.invert)
+        };
+      });
+
+      let pageHeight = PAGE_MARGIN * 2;
+      for (const line of lines) {
+        if (!line.image) {
+          doc.font(line.font).fontSize(line.size);
+          line.height = doc.heightOfString(line.text || ' ', { width: contentWidth });
+        }
+        pageHeight += line.height;
+      }
+
+      // Segunda passada: desenha o conteúdo
+      doc.addPage({ size: [PAGE_WIDTH, pageHeight], margin: PAGE_MARGIN });
+
+      let y = PAGE_MARGIN;
+      for (const line of lines) {
+        if (line.image) {
+          let x = PAGE_MARGIN;
+          if (line.align === 'center') {
+            x += (contentWidth - line.width) / 2;
+          } else if (line.align === 'right') {
+            x += contentWidth - line.width;
+          }
+          doc.image(line.image, x, y + 2, { width: line.width });
+        } else if (line.invert) {
+          // Texto invertido: faixa preta na largura da linha com o texto em branco
+          doc.rect(PAGE_MARGIN, y, contentWidth, line.height).fill('black');
+          doc.font(line.font).fontSize(line.size).fillColor('white');
+          doc.text(line.text || ' ', PAGE_MARGIN, y, { width: contentWidth, align: line.align || 'left' });
+          doc.fillColor('black');
+        } else {
+          doc.font(line.font).fontSize(line.size);
+          doc.text(line.text || ' ', PAGE_MARGIN, y, { width: contentWidth, align: line.align || 'left' });
+        }
+        y += line.height;
+      }
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+module.exports = {
+  renderPdf
+};
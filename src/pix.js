@@ -0,0 +1,93 @@
+/**
+ * PIX estático no padrão BR Code (EMV QRCPS-MPM) do Banco Central
+ * O código "copia e cola" é gerado localmente a partir da chave PIX da loja,
+ * com o valor do pedido e o ID do pedido como identificador da transação
+ */
+
+const { transliterate } = require('./charset');
+
+// Limites de tamanho do BR Code
+const MAX_MERCHANT_NAME = 25;
+const MAX_MERCHANT_CITY = 15;
+const MAX_TXID = 25;
+
+/**
+ * Monta um campo EMV: ID de 2 dígitos, tamanho de 2 dígitos e valor
+ * @param {string} id - Identificador do campo
+ * @param {string} value - Valor do campo
+ * @returns {string} Campo formatado
+ */
+function emvField(id, value) {
+  return `${id}${String(value.length).padStart(2, '0')}${value}`;
+}
+
+/**
+ * Calcula o CRC16-CCITT (polinômio 0x1021, valor inicial 0xFFFF) exigido no campo 63
+ * @param {string} payload - Conteúdo até o campo do CRC, inclusive "6304"
+ * @returns {string} CRC em 4 dígitos hexadecimais maiúsculos
+ */
+function crc16(payload) {
+  let crc = 0xFFFF;
+
+  for (const byte of Buffer.from(payload, 'utf8')) {
+    crc ^= byte << 8;
+    for (let i = 0; i < 8; i++) {
+      crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+      crc &= 0xFFFF;
+    }
+  }
+
+  return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+/**
+ * Normaliza textos do BR Code: sem acentos e no tamanho máximo do campo
+ * @param {string} text - Texto original
+ * @param {number} maxLength - Tamanho máximo
+ * @returns {string} Texto normalizado
+ */
+function normalizeText(text, maxLength) {
+  return transliterate(String(text || '')).trim().substring(0, maxLength);
+}
+
+/**
+ * Gera o código PIX "copia e cola" (BR Code estático)
+ * @param {Object} params - Dados do PIX
+ * @param {string} params.key - Chave PIX (CPF/CNPJ, e-mail, telefone +55... ou chave aleatória)
+ * @param {string} params.merchantName - Nome do recebedor
+ * @param {string} params.merchantCity - Cidade do recebedor
+ * @param {number|string} params.amount - Valor em reais (opcional)
+ * @param {string} params.txid - Identificador da transação (opcional, apenas letras e números)
+ * @returns {string} Código do BR Code
+ */
+function buildPixPayload({ key, merchantName, merchantCity, amount, txid }) {
+  if (!key || !merchantName || !merchantCity) {
+    throw new Error('Chave PIX, nome do recebedor e cidade são obrigatórios para gerar o PIX');
+  }
+
+  const merchantAccount = emvField('00', 'br.gov.bcb.pix') + emvField('01', String(key).trim());
+  const transactionId = String(txid || '').replace(/[^A-Za-z0-9]/g, '').substring(0, MAX_TXID) || '***';
+
+  let payload = emvField('00', '01') +
+    emvField('26', merchantAccount) +
+    emvField('52', '0000') +
+    emvField('53', '986');
+
+  const value = parseFloat(amount);
+  if (value > 0) {
+    payload += emvField('54', value.toFixed(2));
+  }
+
+  payload += emvField('58', 'BR') +
+    emvField('59', normalizeText(merchantName, MAX_MERCHANT_NAME)) +
+    emvField('60', normalizeText(merchantCity, MAX_MERCHANT_CITY)) +
+    emvField('62', emvField('05', transactionId)) +
+    '6304';
+
+  return payload + crc16(payload);
+}
+
+module.exports = {
+  buildPixPayload,
+  crc16
+};
@@ -6,716 +6,510 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { exec } = require('child_process');
-const util = require('util');
-const execPromise = util.promisify(exec);
+const { log } = require('./log');
+const { buildReceipt, layoutLines, renderText } = require('./receipt');
+const { renderEscPos } = require('./escpos');
+const { renderPdf } = require('./pdf');
+const { getPrinterCharset, isRawTextCharset, getCodeTableCommand, encodeText, buildCharsetSample } = require('./charset');
+const { getDotWidth, loadLogo } = require('./logo');
+const { applyPrintRules } = require('./rules');
+const { parseItemRoutes, routeLineItems } = require('./routing');
+const { FOLDER_PRINTER_ID, isFolderPrinter, getPrintFolder, writeToFolder } = require('./folder');
+const { parseNetworkPrinterId, parseNetworkPrinterList, sendToNetworkPrinter } = require('./network');
+const { getBackend } = require('./backends');
+
+// Tentativas em cada impressora antes de passar para a próxima impressora reserva da via, e espera entre elas
+const DEFAULT_FAILOVER_ATTEMPTS = 2;
+const FAILOVER_RETRY_DELAY = 2000;
+
+// Impressoras recebendo um ticket neste momento (id -> tickets em envio); o monitor de estado não as consulta,
+// pois impressoras que aceitam uma conexão por vez recusariam o trabalho durante a consulta
+const busyPrinters = new Map();
 
-// Configuração para logging
-function log(message) {
-  const timestamp = new Date().toISOString();
-  const logLine = `${timestamp} - ${message}\n`;
-
-  try {
-    fs.appendFileSync('printer-log.txt', logLine);
-    console.log(message);
-  } catch (err) {
-    console.error(`Erro ao registrar log: ${err.message}`);
-  }
+/**
+ * Verifica se um ticket está sendo enviado à impressora
+ * @param {string} printerId - Identificador da impressora
+ * @returns {boolean} True enquanto a impressora recebe um ticket
+ */
+function isPrinterBusy(printerId) {
+  return busyPrinters.has(printerId);
 }
 
 /**
- * Configura o tamanho do papel da impressora
- * @param {string} printerName - Nome da impressora
- * @returns {Promise<boolean>} Sucesso da operação
+ * Obtém a largura de impressão em caracteres
+ * @param {Object} options - Configurações de impressão
+ * @returns {number} Largura em caracteres
  */
-async function configurePrinterPaperSize(printerName) {
-  try {
-    log(`Configurando tamanho do papel para impressora "${printerName}"`);
-
-    // Executa um comando para configurar o tamanho do papel
-    // Isso usa o DevMode via PowerShell para modificar a configuração
-    const psCommand = `
-      Add-Type -AssemblyName System.Drawing.Printing;
-      $printers = [System.Drawing.Printing.PrinterSettings]::InstalledPrinters;
-      $found = $false;
-      foreach ($printer in $printers) {
-        if ($printer -eq "${printerName}") {
-          $found = $true;
-          $settings = New-Object System.Drawing.Printing.PrinterSettings;
-          $settings.PrinterName = "${printerName}";
-          $ticket = $settings.DefaultPageSettings;
-          $ticket.PaperSize = New-Object System.Drawing.Printing.PaperSize("Custom", 800, 1100);
-          break;
-        }
-      }
-      if (-not $found) { Write-Output "Impressora não encontrada"; exit 1; }
-      Write-Output "Configuração aplicada com sucesso";
-    `;
+function getContentWidth(options = {}) {
+  let contentWidth = 48; // Reduzido de 56 para 48 para economizar papel
 
-    // Salva o comando em um arquivo temporário
-    const psScriptPath = path.join(os.tmpdir(), 'configure_printer.ps1');
-    fs.writeFileSync(psScriptPath, psCommand);
-
-    // Executa o script PowerShell
-    await execPromise(`powershell -ExecutionPolicy Bypass -File "${psScriptPath}"`);
+  if (options.printWidth) {
+    contentWidth = parseInt(options.printWidth) || contentWidth;
+    log(`Usando largura configurada: ${contentWidth} caracteres`);
+    return contentWidth;
+  }
 
-    log('Configuração do tamanho do papel aplicada com sucesso');
-    return true;
-  } catch (error) {
-    log(`Erro ao configurar tamanho do papel: ${error.message}`);
-    return false;
+  try {
+    // Tenta obter o valor da configuração
+    const config = require('./config.json');
+    if (config && config.printWidth) {
+      contentWidth = parseInt(config.printWidth);
+      log(`Usando largura configurada: ${contentWidth} caracteres`);
+    }
+  } catch (configError) {
+    log(`Erro ao carregar configuração de largura: ${configError.message}`);
   }
+
+  return contentWidth;
 }
 
 /**
- * Define uma impressora como padrão no sistema
- * @param {string} printerName - Nome da impressora
- * @returns {Promise<string>} Nome da impressora padrão anterior
+ * Garante que o diretório temporário de impressão existe
+ * @returns {string} Caminho do diretório temporário
  */
-async function setDefaultPrinter(printerName) {
-  try {
-    // Salva a impressora padrão atual
-    const { stdout } = await execPromise('wmic printer where default=true get name');
-    let defaultPrinter = '';
-
-    // Extrai o nome da impressora padrão atual
-    const lines = stdout.split('\n').map(l => l.trim()).filter(Boolean);
-    if (lines.length > 1 && lines[0] === 'Name') {
-      defaultPrinter = lines[1];
-    }
-
-    log(`Impressora padrão atual: "${defaultPrinter}"`);
+function getTempDir() {
+  const tempDir = path.join(os.tmpdir(), 'print-temp');
+  if (!fs.existsSync(tempDir)) {
+    fs.mkdirSync(tempDir, { recursive: true });
+  }
+  return tempDir;
+}
 
-    // Define a nova impressora como padrão
-    log(`Definindo impressora "${printerName}" como padrão`);
-    await execPromise(`wmic printer where "name='${printerName}'" call setdefaultprinter`);
+/**
+ * Carrega o logotipo configurado para os modos que imprimem imagens (ESC/POS e PDF)
+ * No modo texto (Notepad) o cabeçalho em texto do modelo substitui o logotipo
+ * @param {Object} options - Configurações de impressão (logoPath, printMode, printWidth)
+ * @returns {{raster: Object, dotWidth: number}|null} Logotipo ou null se não houver
+ */
+function loadOrderLogo(options) {
+  if (!options.logoPath || (options.printMode !== 'escpos' && options.printMode !== 'pdf')) {
+    return null;
+  }
 
-    return defaultPrinter;
+  try {
+    const dotWidth = getDotWidth(getContentWidth(options));
+    return { raster: loadLogo(options.logoPath, dotWidth), dotWidth };
   } catch (error) {
-    log(`Erro ao definir impressora padrão: ${error.message}`);
-    return '';
+    // Um logotipo inválido ou removido não deve impedir a impressão do pedido
+    log(`Erro ao carregar o logotipo "${options.logoPath}": ${error.message}`);
+    return null;
   }
 }
 
 /**
- * Traduz o status do pedido WooCommerce para português
- * @param {string} status - Status do pedido em inglês
- * @returns {string} Status traduzido
+ * Monta o recibo do pedido com a largura, o modelo e a URL da loja configurados
+ * @param {Object} order - Dados do pedido
+ * @param {Object} options - Configurações do aplicativo (printWidth, receiptTemplate, apiUrl, deliveryFields,
+ *                           itemMetaFilter, logoPath)
+ * @returns {{width: number, blocks: Array}} Recibo estruturado
  */
-function translateOrderStatus(status) {
-  const statusMap = {
-    'pending': 'Pendente',
-    'processing': 'Em processamento',
-    'on-hold': 'Em espera',
-    'completed': 'Concluído',
-    'cancelled': 'Cancelado',
-    'refunded': 'Reembolsado',
-    'failed': 'Falhou',
-    'trash': 'Na lixeira'
-  };
-
-  return statusMap[status] || status;
+function buildOrderReceipt(order, options = {}) {
+  return buildReceipt(order, {
+    width: getContentWidth(options),
+    template: options.receiptTemplate,
+    apiUrl: options.apiUrl,
+    itemMetaFilter: options.itemMetaFilter,
+    deliveryFields: options.deliveryFields,
+    logo: loadOrderLogo(options),
+    chargeBanner: options.chargeBanner,
+    redirectedFrom: options.redirectedFrom,
+    pix: {
+      key: options.pixKey,
+      merchantName: options.pixMerchantName,
+      merchantCity: options.pixCity
+    }
+  });
 }
 
 /**
- * Cria um arquivo com o conteúdo do pedido com layout otimizado para economizar papel
+ * Renderiza o recibo do pedido no formato do modo de impressão configurado
  * @param {Object} order - Dados do pedido
- * @returns {string} Caminho do arquivo
+ * @param {Object} options - Configurações de impressão (printMode: 'text' | 'escpos' | 'pdf', printWidth, receiptTemplate,
+ *                           charset, charsetSample: inclui a amostra de caracteres do teste de impressão,
+ *                           rawText: o texto vai direto à impressora e começa selecionando a página de código)
+ * @returns {Promise<{data: Buffer, extension: string}>} Conteúdo e extensão do arquivo
  */
-function createOrderFile(order) {
-  try {
-    log(`Criando arquivo para o pedido #${order.id}`);
-    let contentWidth = 48; // Reduzido de 56 para 48 para economizar papel
-
-    try {
-      // Tenta obter o valor da configuração
-      const config = require('./config.json');
-      if (config && config.printWidth) {
-        contentWidth = parseInt(config.printWidth);
-        log(`Usando largura configurada: ${contentWidth} caracteres`);
-      }
-    } catch (configError) {
-      log(`Erro ao carregar configuração de largura: ${configError.message}`);
-    }
+async function renderOrder(order, options = {}) {
+  const receipt = buildOrderReceipt(order, options);
+  const charset = options.charset || getPrinterCharset(options);
 
-    // Criar diretório temporário se não existir
-    const tempDir = path.join(os.tmpdir(), 'print-temp');
-    if (!fs.existsSync(tempDir)) {
-      fs.mkdirSync(tempDir, { recursive: true });
-    }
+  if (options.charsetSample) {
+    receipt.blocks.push(...buildCharsetSample(charset, receipt.width));
+  }
 
-    // Formata a data do pedido
-    const orderDate = new Date(order.date_created || new Date());
-    const formattedDate = orderDate.toLocaleDateString('pt-BR');
-    const formattedTime = orderDate.toLocaleTimeString('pt-BR', {
-      hour: '2-digit',
-      minute: '2-digit'
-    });
-
-    // Função para centralizar texto
-    const centerText = (text) => {
-      const spaces = Math.max(0, Math.floor((contentWidth - text.length) / 2));
-      return ' '.repeat(spaces) + text;
-    };
-
-    // Função para abreviar métodos de pagamento
-    const abbreviatePaymentMethod = (methodTitle, methodCode) => {
-      // Mapeamento de abreviações comuns
-      const abbreviations = {
-        'Pagamento via PIX': 'PIX',
-        'Pagar na entrega com cartão de débito/crédito': 'Cartão na entrega',
-        'Cartão de crédito': 'Cartão crédito',
-        'Cartão de débito': 'Cartão débito',
-        'Boleto bancário': 'Boleto',
-        'Transferência bancária': 'Transferência',
-        'Pagamento na entrega': 'Na entrega',
-        'Dinheiro na entrega': 'Dinheiro',
-        'Mercado Pago': 'MP',
-        'PayPal': 'PayPal',
-        'PagSeguro': 'PagSeguro'
+  switch (options.printMode) {
+    case 'escpos':
+      return { data: renderEscPos(receipt, { charset }), extension: 'bin' };
+    case 'pdf':
+      return { data: await renderPdf(receipt), extension: 'pdf' };
+    default:
+      return {
+        data: options.rawText
+          ? Buffer.concat([getCodeTableCommand(charset), encodeText(renderText(receipt), charset)])
+          : encodeText(renderText(receipt), charset),
+        extension: 'txt'
       };
+  }
+}
 
-      let abbreviated = methodTitle;
-
-      // Verifica se existe uma abreviação específica
-      if (abbreviations[methodTitle]) {
-        abbreviated = abbreviations[methodTitle];
-      } else {
-        // Se a descrição for muito longa, trunca mantendo palavras-chave
-        if (methodTitle && methodTitle.length > 25) {
-          // Procura por palavras-chave importantes
-          if (methodTitle.toLowerCase().includes('pix')) {
-            abbreviated = 'PIX';
-          } else if (methodTitle.toLowerCase().includes('cartão') && methodTitle.toLowerCase().includes('entrega')) {
-            abbreviated = 'Cartão na entrega';
-          } else if (methodTitle.toLowerCase().includes('cartão')) {
-            abbreviated = methodTitle.toLowerCase().includes('débito') ? 'Cartão débito' : 'Cartão crédito';
-          } else if (methodTitle.toLowerCase().includes('boleto')) {
-            abbreviated = 'Boleto';
-          } else if (methodTitle.toLowerCase().includes('entrega')) {
-            abbreviated = 'Na entrega';
-          } else {
-            // Trunca para as primeiras 20 caracteres + "..."
-            abbreviated = methodTitle.substring(0, 20) + '...';
-          }
-        }
-      }
-
-      return abbreviated;
-    };
-
-    // Separadores mais compactos
-    const separator = '='.repeat(contentWidth);
-    const lightSeparator = '-'.repeat(contentWidth);
-
-    // Conteúdo do pedido formatado
-    let content = '';
-
-    // Cabeçalho compacto
-    content += separator + '\n';
-    content += centerText('NOVO PEDIDO - Xcondo Shop') + '\n';
-    content += separator + '\n';
-
-    // Informações básicas em uma linha
-    content += `#${order.id} | ${formattedDate} ${formattedTime}\n`;
-    if (order.number) {
-      content += `Nº: ${order.number} | `;
-    }
-    if (order.status) {
-      content += `Status: ${translateOrderStatus(order.status)}\n`;
-    }
-
-    // PAGAMENTO - Seção compacta
-    content += lightSeparator + '\n';
-    content += 'PAGAMENTO: ';
-
-    if (order.payment_method_title) {
-      const abbreviatedMethod = abbreviatePaymentMethod(order.payment_method_title, order.payment_method);
-      content += abbreviatedMethod;
-    } else if (order.payment_method) {
-      content += order.payment_method.toUpperCase();
-    }
-
-    // Status do pagamento na mesma linha
-    let paymentStatus = 'Não confirmado';
-    if (order.date_paid) {
-      const datePaid = new Date(order.date_paid);
-      paymentStatus = `Pago em ${datePaid.toLocaleDateString('pt-BR')}`;
-    } else if (order.status === 'processing' || order.status === 'completed') {
-      paymentStatus = 'Confirmado';
-    } else if (order.status === 'on-hold') {
-      paymentStatus = 'Aguardando';
-    } else if (order.status === 'failed') {
-      paymentStatus = 'Falhou';
-    } else if (order.status === 'pending') {
-      paymentStatus = 'Pendente';
-    } else if (order.status === 'refunded') {
-      paymentStatus = 'Reembolsado';
-    }
-
-    content += ` | ${paymentStatus}`;
-
-    // Transação se disponível
-    if (order.transaction_id) {
-      content += ` | ID: ${order.transaction_id}`;
-    }
-
-    // Verificar se tem informações úteis de pagamento nos metadados
-    if (order.meta_data) {
-      const paymentMeta = order.meta_data.filter(m => {
-        // Filtrar apenas metadados úteis de pagamento
-        const isPaymentRelated = (
-          m.key.includes('payment') ||
-          m.key.includes('_paid') ||
-          m.key.includes('transaction')
-        );
-
-        // Excluir metadados inúteis ou objetos complexos
-        const isUseful = (
-          !m.key.includes('dokan_commission') &&
-          !m.key.includes('_dokan_') &&
-          typeof m.value === 'string' &&
-          m.value !== '[object Object]' &&
-          m.value.length > 0 &&
-          m.value.length < 100 // Evitar valores muito longos
-        );
-
-        return isPaymentRelated && isUseful;
-      });
-
-      // Só exibe se houver metadados realmente úteis
-      if (paymentMeta.length > 0) {
-        const additionalInfo = paymentMeta.map(meta => {
-          const keyName = meta.key
-            .replace(/_/g, ' ')
-            .replace(/([A-Z])/g, ' $1')
-            .trim();
-          return `${keyName}: ${meta.value}`;
-        }).join(' | ');
-
-        if (additionalInfo) {
-          content += ` | ${additionalInfo}`;
-        }
-      }
-    }
-
-    content += '\n';
-
-    // CLIENTE - Informações condensadas
-    content += lightSeparator + '\n';
-    content += 'CLIENTE:\n';
-
-    if (order.billing) {
-      // Nome e contato em uma linha
-      content += `${order.billing.first_name || ''} ${order.billing.last_name || ''}`;
-      if (order.billing.phone) {
-        content += ` | ${order.billing.phone}`;
-      }
-      content += '\n';
-
-      if (order.billing.email) {
-        content += `${order.billing.email}\n`;
-      }
-
-      // Endereço compacto
-      let addressParts = [];
-      if (order.billing.address_1) addressParts.push(order.billing.address_1);
-      if (order.billing.address_2) addressParts.push(order.billing.address_2);
-      if (order.billing.neighborhood) addressParts.push(order.billing.neighborhood);
+/**
+ * Cria um arquivo temporário com o conteúdo do pedido com layout otimizado para economizar papel
+ * @param {Object} order - Dados do pedido
+ * @param {Object} options - Configurações de impressão (printMode, printWidth)
+ * @returns {Promise<string>} Caminho do arquivo
+ */
+async function createOrderFile(order, options = {}) {
+  try {
+    log(`Criando arquivo para o pedido #${order.id}`);
 
-      if (addressParts.length > 0) {
-        content += `${addressParts.join(', ')}\n`;
-      }
+    const { data, extension } = await renderOrder(order, options);
 
-      // Cidade, Estado, CEP em uma linha
-      let locationParts = [];
-      if (order.billing.city) locationParts.push(order.billing.city);
-      if (order.billing.state) locationParts.push(order.billing.state);
-      if (order.billing.postcode) locationParts.push(`CEP: ${order.billing.postcode}`);
+    // Caminho do arquivo
+    const filePath = path.join(getTempDir(), `order-${order.id}-${Date.now()}.${extension}`);
 
-      if (locationParts.length > 0) {
-        content += `${locationParts.join(' | ')}\n`;
-      }
-    }
+    // Salvar conteúdo no arquivo
+    fs.writeFileSync(filePath, data);
 
-    // VENDEDOR (se aplicável) - mais compacto
-    if (order.store_name || (order.meta_data && order.meta_data.find(m => m.key === '_dokan_vendor_id'))) {
-      content += `Loja: ${order.store_name || 'N/A'}`;
+    log(`Arquivo otimizado criado: ${filePath} (${data.length} bytes)`);
+    return filePath;
+  } catch (error) {
+    log(`Erro ao criar arquivo do pedido: ${error.message}`);
+    throw error;
+  }
+}
 
-      if (order.meta_data) {
-        const vendorIdMeta = order.meta_data.find(m => m.key === '_dokan_vendor_id');
-        if (vendorIdMeta) {
-          content += ` | ID: ${vendorIdMeta.value}`;
-        }
-      }
-      content += '\n';
-    }
+/**
+ * Obtém a lista de impressoras disponíveis: as do sistema, as de rede configuradas e a pasta de impressão
+ * @param {Object} options - Configurações do aplicativo (printerBackend, networkPrinters, printFolder)
+ * @returns {Promise<Array>} Lista de impressoras ({ name, label, type })
+ */
+async function getPrinters(options = {}) {
+  const backend = getBackend(options);
+  log(`Usando backend de impressão: ${backend.name}`);
 
-    // ITENS - Layout mais compacto
-    content += lightSeparator + '\n';
-    content += 'ITENS:\n';
+  const systemPrinters = await backend.listPrinters();
 
-    if (order.line_items && order.line_items.length > 0) {
-      for (const item of order.line_items) {
-        // Linha principal: Qtd, Nome, Código (se houver)
-        let itemLine = `${item.quantity || 1}x ${item.name || 'Produto'}`;
+  const networkPrinters = parseNetworkPrinterList(options.networkPrinters).map(printer => ({
+    name: printer.id,
+    label: `Rede: ${printer.name} (${printer.host}:${printer.port})`,
+    type: 'network'
+  }));
 
-        // Adicionar código/SKU do produto se disponível
-        if (item.sku) {
-          itemLine += ` [${item.sku}]`;
-        } else if (item.product_id) {
-          itemLine += ` [ID:${item.product_id}]`;
-        }
+  if (networkPrinters.length > 0) {
+    log(`${networkPrinters.length} impressoras de rede configuradas`);
+  }
 
-        content += `${itemLine}\n`;
+  const folderPrinter = {
+    name: FOLDER_PRINTER_ID,
+    label: `Imprimir em pasta (${getPrintFolder(options)})`,
+    type: 'folder'
+  };
 
-        // // Variações em linha única (se houver)
-        // if (item.meta_data && item.meta_data.length > 0) {
-        //   const variations = item.meta_data
-        //     .filter(meta => !meta.key.startsWith('_'))
-        //     .map(meta => `${meta.key}: ${meta.value}`)
-        //     .join(' | ');
+  return [...systemPrinters, ...networkPrinters, folderPrinter];
+}
 
-        //   if (variations) {
-        //     content += `  ${variations}\n`;
-        //   }
-        // }
+/**
+ * Imprime um pedido em uma impressora de rede via TCP (porta 9100)
+ * Impressoras de rede recebem sempre ESC/POS, pois não há driver para o modo texto
+ * @param {Object} order - Dados do pedido
+ * @param {{host: string, port: number}} address - Endereço da impressora
+ * @param {Object} options - Configurações de impressão
+ * @returns {Promise<boolean>} Sucesso da impressão
+ */
+async function printToNetworkPrinter(order, address, options = {}) {
+  const { data } = await renderOrder(order, { ...options, printMode: 'escpos' });
 
-        // Preços na mesma linha
-        let priceInfo = [];
-        if (item.price) {
-          priceInfo.push(`Unit: R$ ${parseFloat(item.price).toFixed(2)}`);
-        }
-        if (item.subtotal) {
-          priceInfo.push(`Total: R$ ${parseFloat(item.subtotal).toFixed(2)}`);
-        }
+  log(`Enviando ${data.length} bytes para impressora de rede ${address.host}:${address.port}`);
+  await sendToNetworkPrinter(address.host, address.port, data);
 
-        if (priceInfo.length > 0) {
-          content += `  ${priceInfo.join(' | ')}\n`;
-        }
-      }
-    } else {
-      content += 'Nenhum item\n';
-    }
+  log(`Dados entregues à impressora de rede ${address.host}:${address.port}`);
+  return true;
+}
+/**
+ * Imprime um pedido na impressora especificada
+ * @param {Object} order - Dados do pedido
+ * @param {string} printerName - Nome da impressora, tcp://host:porta para impressoras de rede ou folder:// para a pasta
+ * @param {Object} settings - Configurações de impressão (printMode: 'text' | 'escpos' | 'pdf', printWidth, printFolder, printerCharsets)
+ * @returns {Promise<boolean>} Sucesso da impressão
+ */
+async function printOrder(order, printerName, settings = {}) {
+  try {
+    log(`==== INICIANDO IMPRESSÃO DO PEDIDO #${order.id} ====`);
+    log(`Impressora solicitada: ${printerName}`);
 
-    // RESUMO FINANCEIRO - Uma linha cada
-    content += lightSeparator + '\n';
+    // Codificação de caracteres configurada para esta impressora
+    const options = { ...settings, charset: getPrinterCharset(settings, printerName) };
+    log(`Codificação de caracteres: ${options.charset}`);
 
-    // Valores em formato compacto
-    const financialItems = [];
+    // Impressora de rede: envia os bytes direto ao socket TCP
+    const networkAddress = parseNetworkPrinterId(printerName);
+    if (networkAddress) {
+      await printToNetworkPrinter(order, networkAddress, options);
 
-    if (order.subtotal) {
-      financialItems.push(`Subtotal: R$ ${parseFloat(order.subtotal).toFixed(2)}`);
+      log(`==== IMPRESSÃO DE REDE FINALIZADA PARA PEDIDO #${order.id} ====`);
+      return true;
     }
 
-    if (order.shipping_total && parseFloat(order.shipping_total) > 0) {
-      financialItems.push(`Frete: R$ ${parseFloat(order.shipping_total).toFixed(2)}`);
-    }
+    // Pasta de impressão: grava o recibo renderizado em vez de enviar ao hardware
+    if (isFolderPrinter(printerName)) {
+      const output = await renderOrder(order, options);
+      const filePath = writeToFolder(order, output, options);
 
-    if (order.discount_total && parseFloat(order.discount_total) > 0) {
-      financialItems.push(`Desconto: -R$ ${parseFloat(order.discount_total).toFixed(2)}`);
+      log(`Recibo gravado em ${filePath}`);
+      log(`==== IMPRESSÃO EM PASTA FINALIZADA PARA PEDIDO #${order.id} ====`);
+      return true;
     }
 
-    if (order.total_tax && parseFloat(order.total_tax) > 0) {
-      financialItems.push(`Impostos: R$ ${parseFloat(order.total_tax).toFixed(2)}`);
-    }
+    const backend = getBackend(options);
+    log(`Usando backend de impressão: ${backend.name}`);
 
-    // Mostrar itens financeiros em uma ou duas linhas
-    if (financialItems.length > 0) {
-      content += financialItems.join(' | ') + '\n';
+    // Modo ESC/POS: envia os comandos nativos direto à fila, sem passar pelo driver gráfico.
+    // No modo texto, as páginas de código do DOS também vão direto: o driver leria o arquivo como ANSI
+    const rawText = options.printMode !== 'escpos' && options.printMode !== 'pdf' && isRawTextCharset(options.charset);
+    const raw = options.printMode === 'escpos' || rawText;
+    if (rawText) {
+      log(`Texto em ${options.charset} enviado direto à impressora (RAW)`);
     }
+    const orderFile = await createOrderFile(order, { ...options, rawText });
 
-    // Total destacado
-    content += `TOTAL: R$ ${parseFloat(order.total || 0).toFixed(2)}\n`;
-
-    // ENVIO (se disponível) - formato compacto
-    if (order.shipping_lines && order.shipping_lines.length > 0) {
-      const shippingInfo = order.shipping_lines.map(shipping => {
-        let info = shipping.method_title || 'Envio';
-        if (shipping.total && parseFloat(shipping.total) > 0) {
-          info += ` (R$ ${parseFloat(shipping.total).toFixed(2)})`;
-        }
-        return info;
-      }).join(' | ');
+    const { jobId } = await backend.print(orderFile, printerName, { raw });
 
-      content += `Envio: ${shippingInfo}\n`;
-    }
+    // Verifica se a impressão foi enviada para a fila
+    const inQueue = await backend.checkPrintQueue(printerName, jobId);
 
-    // OBSERVAÇÕES (se houver)
-    if (order.customer_note) {
-      content += `Obs: ${order.customer_note}\n`;
+    if (inQueue) {
+      log('Impressão enviada para a fila com sucesso!');
+    } else {
+      log('Aviso: Nenhum job encontrado na fila de impressão, mas isso nem sempre significa que falhou');
     }
 
-    // Rodapé minimalista
-    content += separator + '\n';
-    content += `Impresso: ${new Date().toLocaleString('pt-BR')}\n`;
-
-    // Apenas 3 linhas em branco para corte (reduzido de 10)
-    content += '\n\n\n';
-
-    // Caminho do arquivo
-    const filePath = path.join(tempDir, `order-${order.id}-${Date.now()}.txt`);
-
-    // Salvar conteúdo no arquivo
-    fs.writeFileSync(filePath, content, 'utf8');
-
-    log(`Arquivo otimizado criado: ${filePath}`);
-    return filePath;
+    log(`==== IMPRESSÃO FINALIZADA PARA PEDIDO #${order.id} ====`);
+    return true;
   } catch (error) {
-    log(`Erro ao criar arquivo do pedido: ${error.message}`);
+    log(`ERRO na impressão do pedido #${order.id}: ${error.message}`);
     throw error;
   }
 }
+
 /**
- * Imprime usando Notepad - método mais confiável para impressão física
- * @param {string} filePath - Caminho do arquivo a ser impresso
- * @returns {Promise<boolean>} Sucesso da impressão
+ * Nome de exibição de uma impressora (nome da impressora de rede configurada ou o próprio identificador)
+ * @param {string} printerId - Identificador da impressora
+ * @param {Object} settings - Configurações do aplicativo (networkPrinters)
+ * @returns {string} Nome da impressora
  */
-async function printWithNotepad(filePath) {
-  try {
-    log('Imprimindo com Notepad - método mais confiável');
-
-    // Executa o Notepad com a flag /p para imprimir
-    await execPromise(`notepad /p "${filePath}"`);
-
-    log('Comando Notepad executado com sucesso');
-    return true;
-  } catch (error) {
-    log(`Erro ao imprimir com Notepad: ${error.message}`);
-    throw error;
+function getPrinterLabel(printerId, settings = {}) {
+  const networkPrinter = parseNetworkPrinterList(settings.networkPrinters).find(p => p.id === printerId);
+  if (networkPrinter) {
+    return networkPrinter.name;
   }
+
+  return isFolderPrinter(printerId) ? 'Pasta' : printerId;
 }
 
 /**
- * Verifica se a impressão foi enviada para a fila
- * @returns {Promise<boolean>} True se há jobs na fila de impressão
+ * Separa a via em tickets por impressora conforme as regras de roteamento de itens
+ * Só a via da cozinha é separada; cada ticket leva o cabeçalho do pedido e apenas os seus itens
+ * @param {Object} order - Dados do pedido
+ * @param {Object} copy - Via de getPrintCopies
+ * @param {Object} settings - Configurações do aplicativo (itemRoutes, networkPrinters)
+ * @returns {Array<{order: Object, printerId: string}>} Tickets a imprimir
  */
-async function checkPrintQueue() {
-  try {
-    log('Verificando fila de impressão...');
-
-    // Verifica jobs na fila com WMIC
-    const { stdout } = await execPromise('wmic printjob list brief');
-
-    // Se há conteúdo além do cabeçalho, existem jobs na fila
-    const lines = stdout.split('\n').map(l => l.trim()).filter(Boolean);
-    const hasJobs = lines.length > 1;
-
-    log(`Jobs na fila de impressão: ${hasJobs ? 'Sim' : 'Não'}`);
-    return hasJobs;
-  } catch (error) {
-    log(`Erro ao verificar fila de impressão: ${error.message}`);
-    return false; // Assume que não há jobs em caso de erro
+function splitCopyTickets(order, copy, settings) {
+  const routes = copy.type === 'kitchen' ? parseItemRoutes(settings.itemRoutes) : [];
+  if (routes.length === 0) {
+    return [{ order, printerId: copy.printerId }];
   }
+
+  return routeLineItems(order.line_items, routes, copy.printerId).map(group => ({
+    // station identifica no cabeçalho o destino dos itens roteados (ex: "BAR")
+    order: { ...order, line_items: group.items, station: group.routed ? getPrinterLabel(group.printerId, settings) : '' },
+    printerId: group.printerId
+  }));
 }
 
 /**
- * Obtém a lista de impressoras instaladas no sistema
- * Inclui ampla lista de impressoras térmicas como fallback
- * @returns {Promise<Array>} Lista de impressoras
+ * Imprime as cópias de um ticket, passando para as impressoras reserva da via quando a impressora falha
+ * Cada impressora é tentada settings.failoverAttempts vezes; o ticket redirecionado leva no topo
+ * a impressora de origem
+ * @param {Object} ticket - Ticket de splitCopyTickets
+ * @param {Object} copy - Via de applyPrintRules
+ * @param {Object} settings - Configurações do aplicativo (failoverAttempts e as de printOrder)
+ * @returns {Promise<{printerId: string, redirected: boolean}>} Impressora que imprimiu o ticket
  */
-async function getPrinters() {
-  try {
-    log('Obtendo lista de impressoras');
-
-    // Lista expandida de impressoras térmicas comuns como fallback
-    const defaultPrinters = [
-      // Impressoras Bematech
-      { name: 'BEMATECH MP-4200 TH' },
-      { name: 'BEMATECH MP-4000 TH' },
-      { name: 'BEMATECH MP-100S TH' },
-      { name: 'BEMATECH MP-2800 TH' },
-      { name: 'BEMATECH MP-5100 TH' },
-      { name: 'BEMATECH MP-2500 TH' },
-      { name: 'BEMATECH MP-20 MI' },
-      { name: 'BEMATECH MP-2100 TH' },
-      { name: 'BEMATECH MP-4200' },
-      { name: 'MP-4200 TH' },
-      { name: 'MP-4000 TH' },
-      { name: 'MP-2800 TH' },
-
-      // Impressoras Epson
-      { name: 'EPSON TM-T20' },
-      { name: 'EPSON TM-T20II' },
-      { name: 'EPSON TM-T20III' },
-      { name: 'EPSON TM-T20X' },
-      { name: 'EPSON TM-T88V' },
-      { name: 'EPSON TM-T88VI' },
-      { name: 'EPSON TM-T88VII' },
-      { name: 'EPSON TM-m30' },
-      { name: 'EPSON TM-m10' },
-      { name: 'EPSON TM-m30II' },
-      { name: 'EPSON TM-U220' },
-      { name: 'EPSON L3210 Series' },
-      { name: 'EPSON L3150 Series' },
-      { name: 'TM-T20' },
-      { name: 'TM-T88V' },
-      { name: 'TM-T88VI' },
-
-      // Impressoras Daruma
-      { name: 'DARUMA DR800' },
-      { name: 'DARUMA DR700' },
-      { name: 'DARUMA DR600' },
-      { name: 'DARUMA DS348' },
-      { name: 'DARUMA DR2000' },
-      { name: 'DARUMA DR3000' },
-      { name: 'DR800' },
-      { name: 'DR700' },
-
-      // Impressoras Elgin
-      { name: 'ELGIN i9' },
-      { name: 'ELGIN i7' },
-      { name: 'ELGIN i5' },
-      { name: 'ELGIN VOX' },
-      { name: 'ELGIN VOX+' },
-      { name: 'ELGIN L42' },
-      { name: 'ELGIN L42 PRO' },
-      { name: 'ELGIN i9 USB' },
-      { name: 'I9' },
-      { name: 'I7' },
-
-      // Impressoras Diebold
-      { name: 'DIEBOLD TSP-143' },
-      { name: 'DIEBOLD IM453' },
-      { name: 'DIEBOLD IM433' },
-      { name: 'DIEBOLD IM402' },
-
-      // Impressoras Sweda
-      { name: 'SWEDA SI-300' },
-      { name: 'SWEDA SI-250' },
-      { name: 'SWEDA SI-150' },
-
-      // Impressoras Outros Fabricantes
-      { name: 'GERTEC G250' },
-      { name: 'GERTEC G280' },
-      { name: 'TANCA TP-550' },
-      { name: 'TANCA TP-650' },
-      { name: 'TOSHIBA TRST-A00' },
-      { name: 'EVADIN 80mm Printer' },
-      { name: 'CONTROLID PRINT iD' },
-      { name: 'CITIZEN CMP-20II' },
-      { name: 'CITIZEN CMP-30II' },
-
-      // Impressoras genéricas/drivers
-      { name: 'POS-58' },
-      { name: 'POS-80' },
-      { name: 'Thermal Receipt Printer' },
-      { name: 'Generic / Text Only' },
-      { name: 'Impressora Térmica' },
-      { name: 'Impressora Não Fiscal' },
-      { name: 'Impressora POS' },
-      { name: 'Impressora de Cupom' },
-
-      // Impressoras PDF e XPS
-      { name: 'Microsoft Print to PDF' },
-      { name: 'Microsoft XPS Document Writer' },
-      { name: 'PDFCreator' },
-      { name: 'Fax' }
-    ];
-
-    try {
-      // Tenta listar impressoras com WMIC (mais confiável)
-      const { stdout } = await execPromise('wmic printer get name');
-      const lines = stdout.split('\n').map(l => l.trim()).filter(Boolean);
-
-      // Remove o cabeçalho "Name"
-      if (lines.length > 0 && lines[0] === 'Name') {
-        lines.shift();
-      }
+async function printTicketWithFailover(ticket, copy, settings) {
+  const printers = [ticket.printerId, ...copy.fallbackPrinterIds.filter(id => id !== ticket.printerId)];
+  const maxAttempts = Math.max(1, parseInt(settings.failoverAttempts) || DEFAULT_FAILOVER_ATTEMPTS);
+  const errors = [];
+  let printed = 0;
 
-      // Converte para o formato esperado
-      if (lines.length > 0) {
-        const printers = lines.map(name => ({ name }));
-        log(`${printers.length} impressoras encontradas via WMIC`);
-        return printers;
-      }
-    } catch (wmicError) {
-      log(`Erro ao listar impressoras com WMIC: ${wmicError.message}`);
+  for (const [index, printerId] of printers.entries()) {
+    const redirectedFrom = index > 0 ? getPrinterLabel(ticket.printerId, settings) : '';
+    let failures = 0;
 
-      // Tenta com PowerShell como alternativa
-      try {
-        const { stdout } = await execPromise('powershell -Command "Get-Printer | Select-Object -ExpandProperty Name"');
-        const printers = stdout.split('\n').map(l => l.trim()).filter(Boolean).map(name => ({ name }));
+    while (printed < copy.count && failures < maxAttempts) {
+      busyPrinters.set(printerId, (busyPrinters.get(printerId) || 0) + 1);
 
-        if (printers.length > 0) {
-          log(`${printers.length} impressoras encontradas via PowerShell`);
-          return printers;
+      try {
+        log(`${copy.label} (${printed + 1}/${copy.count}) do pedido #${ticket.order.id} na impressora ${printerId}`);
+        await printOrder(ticket.order, printerId, {
+          ...settings,
+          receiptTemplate: copy.template,
+          chargeBanner: Boolean(copy.chargeBanner),
+          redirectedFrom
+        });
+        printed++;
+        continue;
+      } catch (error) {
+        failures++;
+        errors.push(`${printerId}: ${error.message}`);
+      } finally {
+        const sending = busyPrinters.get(printerId) - 1;
+        if (sending > 0) {
+          busyPrinters.set(printerId, sending);
+        } else {
+          busyPrinters.delete(printerId);
         }
-      } catch (psError) {
-        log(`Erro ao listar impressoras com PowerShell: ${psError.message}`);
+      }
+
+      if (failures < maxAttempts) {
+        await new Promise(resolve => setTimeout(resolve, FAILOVER_RETRY_DELAY));
       }
     }
 
-    // Retorna lista padrão expandida se não conseguir listar
-    log('Usando lista padrão expandida de impressoras térmicas');
-    return defaultPrinters;
-  } catch (error) {
-    log(`Erro geral ao listar impressoras: ${error.message}`);
-    return defaultPrinters;
+    if (printed === copy.count) {
+      return { printerId, redirected: index > 0 };
+    }
+
+    if (index + 1 < printers.length) {
+      log(`${copy.label} do pedido #${ticket.order.id}: impressora ${printerId} falhou ${failures} vez(es); redirecionando para ${printers[index + 1]}`);
+    }
   }
+
+  throw new Error(errors.join('; '));
 }
+
 /**
- * Imprime um pedido na impressora especificada
+ * Imprime todas as vias configuradas do pedido (cliente, cozinha, entregador)
+ * Cada via usa seu modelo, quantidade e impressora; a falha de uma via não impede as demais
+ * Na via da cozinha, os itens podem ser roteados para impressoras diferentes (ver src/routing.js)
+ * As regras de impressão podem pular o pedido ou alterar as vias (ver src/rules.js)
+ * Em uma nova tentativa, os tickets já impressos (options.printedTickets) não são impressos de novo
+ * Os tickets sem nenhuma impressora disponível (options.isPrinterAvailable) ficam para depois: se só eles
+ * faltarem, o erro lançado tem waitingForPrinter = true
  * @param {Object} order - Dados do pedido
- * @param {string} printerName - Nome da impressora
- * @returns {Promise<boolean>} Sucesso da impressão
+ * @param {Object} settings - Configurações do aplicativo (printCopies, printRules, printerId, receiptTemplate,
+ *                            fallbackPrinters, failoverAttempts e as de printOrder)
+ * @param {Object} options - Tickets já impressos ({printedTickets}), onTicketPrinted, chamada com cada
+ *                           ticket impresso ({key, copy, printerId, printer, redirected}), e isPrinterAvailable,
+ *                           que recebe o identificador da impressora (ver src/health.js)
+ * @returns {Promise<{printed: boolean, printers: Array<{copy: string, printerId: string, printer: string, redirected: boolean}>}>}
+ *          Impressoras usadas em cada via; printed é false se uma regra pulou o pedido
  */
-async function printOrder(order, printerName) {
-  try {
-    log(`==== INICIANDO IMPRESSÃO DO PEDIDO #${order.id} ====`);
-    log(`Impressora solicitada: ${printerName}`);
-
-    // Tenta configurar o tamanho do papel (opcional)
-    await configurePrinterPaperSize(printerName);
-
-    // Salva a impressora padrão atual
-    const defaultPrinter = await setDefaultPrinter(printerName);
+async function printOrderCopies(order, settings = {}, options = {}) {
+  const { skip, copies } = applyPrintRules(order, settings);
+  const printedTickets = options.printedTickets || [];
+  const failures = [];
+  const waiting = [];
+  const printers = [];
+
+  if (skip) {
+    log(`Pedido #${order.id} não impresso: ignorado pelas regras de impressão`);
+    return { printed: false, printers };
+  }
 
-    try {
-      // Cria o arquivo com o conteúdo do pedido
-      const orderFile = createOrderFile(order);
+  if (copies.length === 0) {
+    throw new Error('Nenhuma via de impressão ativa. Ative ao menos uma via nas configurações.');
+  }
 
-      // Imprime usando Notepad (método mais confiável)
-      await printWithNotepad(orderFile);
+  for (const copy of copies) {
+    for (const ticket of splitCopyTickets(order, copy, settings)) {
+      if (!ticket.printerId) {
+        failures.push(`${copy.label}: nenhuma impressora selecionada`);
+        continue;
+      }
 
-      // Verifica se a impressão foi enviada para a fila
-      const inQueue = await checkPrintQueue();
+      // Identifica o ticket entre as tentativas: a via e a impressora de destino
+      const key = `${copy.type}:${ticket.printerId}`;
+      const previous = printedTickets.find(printedTicket => printedTicket.key === key);
+      if (previous) {
+        log(`${copy.label} do pedido #${order.id} (${ticket.printerId}) já impressa em tentativa anterior`);
+        printers.push({ copy: previous.copy, printerId: previous.printerId, printer: previous.printer, redirected: previous.redirected });
+        continue;
+      }
 
-      if (inQueue) {
-        log('Impressão enviada para a fila com sucesso!');
-      } else {
-        log('Aviso: Nenhum job encontrado na fila de impressão, mas isso nem sempre significa que falhou');
+      // Impressora e reservas sem papel, com a tampa aberta ou offline: o ticket espera, os demais são impressos
+      if (options.isPrinterAvailable &&
+        ![ticket.printerId, ...copy.fallbackPrinterIds].some(printerId => options.isPrinterAvailable(printerId))) {
+        log(`${copy.label} do pedido #${order.id} aguardando a impressora ${ticket.printerId}`);
+        waiting.push(`${copy.label} (${getPrinterLabel(ticket.printerId, settings)})`);
+        continue;
       }
 
-      log(`==== IMPRESSÃO FINALIZADA PARA PEDIDO #${order.id} ====`);
-      return true;
-    } finally {
-      // Restaura a impressora padrão anterior
-      if (defaultPrinter) {
-        log(`Restaurando impressora padrão anterior: ${defaultPrinter}`);
-        await setDefaultPrinter(defaultPrinter);
+      try {
+        const result = await printTicketWithFailover(ticket, copy, settings);
+        const printer = {
+          copy: copy.label,
+          printerId: result.printerId,
+          printer: getPrinterLabel(result.printerId, settings),
+          redirected: result.redirected
+        };
+
+        printers.push(printer);
+        if (options.onTicketPrinted) {
+          options.onTicketPrinted({ key, ...printer });
+        }
+      } catch (error) {
+        failures.push(`${copy.label} (${ticket.printerId}): ${error.message}`);
       }
     }
-  } catch (error) {
-    log(`ERRO na impressão do pedido #${order.id}: ${error.message}`);
+  }
+
+  if (failures.length > 0) {
+    throw new Error(failures.join(' | '));
+  }
+
+  if (waiting.length > 0) {
+    const error = new Error(`Aguardando impressora: ${waiting.join(', ')}`);
+    error.waitingForPrinter = true;
     throw error;
   }
+
+  return { printed: true, printers };
 }
 
+/**
+ * Gera a pré-visualização do recibo exatamente como seria impresso, sem enviar à impressora
+ * @param {Object} order - Dados do pedido
+ * @param {Object} options - Configurações de impressão (printWidth, receiptTemplate)
+ * @returns {{width: number, lines: Array<{text: string, bold: boolean, size: string, overflow: boolean}>}} Linhas do recibo
+ */
+function previewOrder(order, options = {}) {
+  const receipt = buildOrderReceipt(order, options);
+
+  return {
+    width: receipt.width,
+    lines: layoutLines(receipt).map(line => ({ ...line, overflow: line.text.length > receipt.width }))
+  };
+}
 
 /**
  * Imprime um teste
  * @param {Object} testOrder - Dados do pedido de teste
  * @param {string} printerName - Nome da impressora
+ * @param {Object} options - Configurações de impressão (charsetSample: inclui a amostra de caracteres)
  * @returns {Promise<boolean>} Sucesso da impressão
  */
-async function printTest(testOrder, printerName) {
-  return await printOrder(testOrder, printerName);
+async function printTest(testOrder, printerName, options = {}) {
+  return await printOrder(testOrder, printerName, options);
 }
 
 // Exporta as funções necessárias
 module.exports = {
   getPrinters,
   printOrder,
-  printTest
+  printOrderCopies,
+  previewOrder,
+  printTest,
+  getPrinterLabel,
+  isPrinterBusy
 };
\ No newline at end of file
@@ -0,0 +1,358 @@
+/**
+ * Fila persistente de impressão
+ *
+ * Cada pedido recebido vira um trabalho gravado em data/print_queue.json, que sobrevive ao reinício do aplicativo.
+ * Situações do trabalho:
+ *   queued    Aguardando impressão
+ *   printing  Sendo impresso
+ *   done      Impresso (ou ignorado pelas regras de impressão)
+ *   failed    Falhou; nova tentativa agendada com espera crescente (15 s, 30 s, 1 min, 2 min...)
+ *   held      Faltam só tickets cuja impressora está indisponível (ex: sem papel, ver src/health.js);
+ *             volta a imprimir com wakeHeldJobs, sem gastar tentativas
+ *   dead      Tentativas esgotadas; só volta a imprimir com "Tentar novamente" na interface
+ *
+ * Os tickets já impressos de um trabalho ficam em job.printedTickets, para que uma nova tentativa
+ * imprima apenas os que falharam (ex: só a via da cozinha, se era a impressora desligada).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./log');
+
+const QUEUE_FILE = path.join(process.cwd(), 'data', 'print_queue.json');
+
+// Tentativas antes de desistir do trabalho e espera entre elas
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_DELAY = 15 * 1000;
+const RETRY_MAX_DELAY = 10 * 60 * 1000;
+
+// Intervalo de verificação dos trabalhos com tentativa vencida
+const QUEUE_POLL_INTERVAL = 5000;
+
+// Trabalhos concluídos mantidos no arquivo (os mais antigos são descartados)
+const MAX_FINISHED_JOBS = 100;
+
+let jobs = [];
+let pollTimer = null;
+let processing = false;
+let jobHandler = null;
+let updateListener = null;
+
+/**
+ * Carrega os trabalhos gravados em disco
+ * Trabalhos interrompidos durante a impressão (aplicativo fechado) voltam para a fila
+ */
+function loadQueue() {
+  try {
+    if (!fs.existsSync(QUEUE_FILE)) {
+      jobs = [];
+      return;
+    }
+
+    const data = JSON.parse(fs.readFileSync(QUEUE_FILE, 'utf8'));
+    jobs = Array.isArray(data.jobs) ? data.jobs : [];
+
+    for (const job of jobs) {
+      if (job.status === 'printing') {
+        job.status = 'queued';
+        job.nextAttemptAt = new Date().toISOString();
+      }
+    }
+
+    log(`Fila de impressão carregada: ${jobs.filter(job => job.status !== 'done').length} trabalho(s) pendente(s)`);
+  } catch (error) {
+    log(`Erro ao carregar a fila de impressão: ${error.message}`);
+    jobs = [];
+  }
+}
+
+/**
+ * Grava os trabalhos em disco
+ * O arquivo é escrito em um temporário e renomeado, para não ficar corrompido se o aplicativo fechar no meio
+ */
+function saveQueue() {
+  try {
+    fs.mkdirSync(path.dirname(QUEUE_FILE), { recursive: true });
+
+    // Descarta os concluídos mais antigos, mantendo os pendentes e com falha
+    const finished = jobs.filter(job => job.status === 'done');
+    if (finished.length > MAX_FINISHED_JOBS) {
+      const removed = new Set(finished.slice(0, finished.length - MAX_FINISHED_JOBS));
+      jobs = jobs.filter(job => !removed.has(job));
+    }
+
+    const tempFile = `${QUEUE_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ jobs, lastUpdate: new Date().toISOString() }));
+    fs.renameSync(tempFile, QUEUE_FILE);
+  } catch (error) {
+    log(`Erro ao salvar a fila de impressão: ${error.message}`);
+  }
+}
+
+/**
+ * Calcula a espera antes da próxima tentativa (dobra a cada falha, até RETRY_MAX_DELAY)
+ * @param {number} attempts - Tentativas já feitas
+ * @returns {number} Espera em milissegundos
+ */
+function getRetryDelay(attempts) {
+  return Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * Math.pow(2, Math.max(0, attempts - 1)));
+}
+
+/**
+ * Altera o trabalho, grava a fila e avisa o ouvinte
+ * @param {Object} job - Trabalho
+ * @param {Object} changes - Campos alterados
+ */
+function updateJob(job, changes) {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  saveQueue();
+
+  if (updateListener) {
+    try {
+      updateListener(job);
+    } catch (error) {
+      log(`Erro ao notificar a fila de impressão: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Resume o trabalho para a interface, sem os dados completos do pedido
+ * @param {Object} job - Trabalho
+ * @returns {Object} Resumo do trabalho
+ */
+function summarizeJob(job) {
+  const billing = job.order.billing || {};
+
+  return {
+    id: job.id,
+    orderId: job.order.id,
+    customer: `${billing.first_name || ''} ${billing.last_name || ''}`.trim(),
+    total: job.order.total,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: MAX_ATTEMPTS,
+    lastError: job.lastError,
+    nextAttemptAt: job.nextAttemptAt,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+/**
+ * Registra um ticket impresso do trabalho, gravando a fila em seguida
+ * Assim o ticket não é impresso de novo mesmo se o aplicativo fechar antes do fim da tentativa
+ * @param {Object} job - Trabalho
+ * @param {Object} ticket - Ticket impresso ({key, copy, printerId, printer, redirected})
+ */
+function markTicketPrinted(job, ticket) {
+  job.printedTickets = [...(job.printedTickets || []).filter(printed => printed.key !== ticket.key), ticket];
+  saveQueue();
+}
+
+/**
+ * Imprime um trabalho e agenda nova tentativa em caso de falha
+ * @param {Object} job - Trabalho
+ */
+async function runJob(job) {
+  updateJob(job, { status: 'printing', attempts: job.attempts + 1 });
+  log(`Fila de impressão: pedido #${job.order.id}, tentativa ${job.attempts}/${MAX_ATTEMPTS}`);
+
+  try {
+    const result = await jobHandler(job, ticket => markTicketPrinted(job, ticket));
+    updateJob(job, { status: 'done', result, lastError: '', nextAttemptAt: null });
+  } catch (error) {
+    // Nada falhou, só faltam tickets de impressoras indisponíveis: a tentativa não conta
+    if (error.waitingForPrinter) {
+      log(`Fila de impressão: pedido #${job.order.id} aguardando impressora (${error.message})`);
+      updateJob(job, { status: 'held', attempts: job.attempts - 1, lastError: error.message, nextAttemptAt: null });
+      return;
+    }
+
+    if (job.attempts >= MAX_ATTEMPTS) {
+      log(`Fila de impressão: pedido #${job.order.id} desistido após ${job.attempts} tentativas: ${error.message}`);
+      updateJob(job, { status: 'dead', lastError: error.message, nextAttemptAt: null });
+      return;
+    }
+
+    const delay = getRetryDelay(job.attempts);
+    log(`Fila de impressão: pedido #${job.order.id} falhou (${error.message}); nova tentativa em ${Math.round(delay / 1000)} s`);
+    updateJob(job, {
+      status: 'failed',
+      lastError: error.message,
+      nextAttemptAt: new Date(Date.now() + delay).toISOString()
+    });
+  }
+}
+
+/**
+ * Imprime, um de cada vez e na ordem de chegada, os trabalhos com tentativa vencida
+ */
+async function processDueJobs() {
+  if (processing || !jobHandler) {
+    return;
+  }
+
+  processing = true;
+
+  try {
+    let job;
+    while ((job = jobs.find(j => (j.status === 'queued' || j.status === 'failed') &&
+      new Date(j.nextAttemptAt).getTime() <= Date.now())) && jobHandler) {
+      await runJob(job);
+    }
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Adiciona um pedido à fila de impressão
+ * Um pedido que já tem trabalho pendente na fila não é adicionado de novo
+ * @param {Object} order - Dados do pedido
+ * @returns {Object|null} Resumo do trabalho criado, ou null se o pedido já estava na fila
+ */
+function enqueueOrder(order) {
+  const pending = jobs.find(job => job.order.id === order.id && ['queued', 'printing', 'failed', 'held'].includes(job.status));
+  if (pending) {
+    log(`Pedido #${order.id} já está na fila de impressão`);
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: `${order.id}-${Date.now()}`,
+    order,
+    status: 'queued',
+    attempts: 0,
+    printedTickets: [],
+    lastError: '',
+    result: null,
+    nextAttemptAt: now,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  jobs.push(job);
+  updateJob(job, {});
+  processDueJobs();
+
+  return summarizeJob(job);
+}
+
+/**
+ * Inicia o processamento da fila, retomando os trabalhos gravados
+ * @param {Function} handler - Função async que imprime o trabalho; recebe (job, onTicketPrinted) e o retorno
+ *                           fica em job.result
+ * @param {Function} onUpdate - Chamada a cada mudança de situação de um trabalho
+ */
+function startQueue(handler, onUpdate) {
+  stopQueue();
+  loadQueue();
+
+  jobHandler = handler;
+  updateListener = onUpdate || null;
+
+  pollTimer = setInterval(processDueJobs, QUEUE_POLL_INTERVAL);
+  processDueJobs();
+}
+
+/**
+ * Para o processamento da fila (o trabalho em andamento termina normalmente)
+ */
+function stopQueue() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+
+  jobHandler = null;
+  updateListener = null;
+}
+
+/**
+ * Coloca de volta na fila os trabalhos que aguardam impressora (ex: o estado de alguma impressora mudou)
+ * Os tickets cuja impressora continua indisponível fazem o trabalho voltar a aguardar
+ */
+function wakeHeldJobs() {
+  const held = jobs.filter(job => job.status === 'held');
+  if (held.length === 0) {
+    return;
+  }
+
+  const now = new Date().toISOString();
+  for (const job of held) {
+    job.status = 'queued';
+    job.nextAttemptAt = now;
+  }
+
+  saveQueue();
+  processDueJobs();
+}
+
+/**
+ * Coloca um trabalho com falha de volta na fila para impressão imediata
+ * @param {string} jobId - Identificador do trabalho
+ * @returns {Object} Resumo do trabalho
+ */
+function retryJob(jobId) {
+  const job = jobs.find(j => j.id === jobId);
+  if (!job) {
+    throw new Error('Trabalho não encontrado na fila de impressão');
+  }
+  if (job.status === 'printing') {
+    throw new Error(`O pedido #${job.order.id} já está sendo impresso`);
+  }
+
+  // Após desistir, a nova tentativa recomeça a contagem; reimprimir um trabalho concluído imprime todos os tickets
+  updateJob(job, {
+    status: 'queued',
+    attempts: job.status === 'dead' || job.status === 'done' ? 0 : job.attempts,
+    printedTickets: job.status === 'done' ? [] : (job.printedTickets || []),
+    nextAttemptAt: new Date().toISOString()
+  });
+  processDueJobs();
+
+  return summarizeJob(job);
+}
+
+/**
+ * Remove um trabalho da fila sem imprimir
+ * O ouvinte recebe o trabalho com a situação "discarded" antes de ele sair da fila
+ * @param {string} jobId - Identificador do trabalho
+ * @returns {Object} Resumo do trabalho removido
+ */
+function discardJob(jobId) {
+  const job = jobs.find(j => j.id === jobId);
+  if (!job) {
+    throw new Error('Trabalho não encontrado na fila de impressão');
+  }
+  if (job.status === 'printing') {
+    throw new Error(`O pedido #${job.order.id} está sendo impresso e não pode ser descartado agora`);
+  }
+
+  jobs = jobs.filter(j => j !== job);
+  updateJob(job, { status: 'discarded', nextAttemptAt: null });
+  log(`Pedido #${job.order.id} descartado da fila de impressão`);
+
+  return summarizeJob(job);
+}
+
+/**
+ * Lista os trabalhos da fila para a interface
+ * @param {boolean} includeDone - Inclui os trabalhos concluídos
+ * @returns {Array<Object>} Resumos dos trabalhos, na ordem de chegada
+ */
+function getQueueJobs(includeDone = false) {
+  return jobs.filter(job => includeDone || job.status !== 'done').map(summarizeJob);
+}
+
+module.exports = {
+  enqueueOrder,
+  startQueue,
+  stopQueue,
+  retryJob,
+  discardJob,
+  getQueueJobs,
+  wakeHeldJobs
+};
@@ -0,0 +1,642 @@
+/**
+ * Montagem do recibo de pedidos em blocos independentes do formato de saída
+ * Os mesmos blocos são usados pelo layout de texto (Notepad) e pelo ESC/POS
+ *
+ * Cada bloco é um objeto simples:
+ *   { type: 'text', text, align: 'left'|'center'|'right', bold, size: 'normal'|'double' }
+ *   { type: 'separator', char }
+ *   { type: 'feed', lines }
+ *   { type: 'barcode', data, align }    Código de barras (CODE128)
+ *   { type: 'qrcode', data, align }     QR code
+ *   { type: 'image', raster, dotWidth, align }
+ *                                       Imagem em pontos pretos e brancos (logotipo, ver src/logo.js)
+ *
+ * O layout vem de um modelo editável (ver src/template.js); DEFAULT_TEMPLATE reproduz o layout original
+ */
+
+const { renderTemplate } = require('./template');
+const { wrapText } = require('./layout');
+const { buildPixPayload } = require('./pix');
+const { parseMetaFilter, filterMeta, parseFieldMapping, mapFields } = require('./meta');
+
+/**
+ * Traduz o status do pedido WooCommerce para português
+ * @param {string} status - Status do pedido em inglês
+ * @returns {string} Status traduzido
+ */
+function translateOrderStatus(status) {
+  const statusMap = {
+    'pending': 'Pendente',
+    'processing': 'Em processamento',
+    'on-hold': 'Em espera',
+    'completed': 'Concluído',
+    'cancelled': 'Cancelado',
+    'refunded': 'Reembolsado',
+    'failed': 'Falhou',
+    'trash': 'Na lixeira'
+  };
+
+  return statusMap[status] || status;
+}
+
+/**
+ * Abrevia o nome do método de pagamento para caber na linha do recibo
+ * @param {string} methodTitle - Título do método de pagamento
+ * @returns {string} Método abreviado
+ */
+function abbreviatePaymentMethod(methodTitle) {
+  // Mapeamento de abreviações comuns
+  const abbreviations = {
+    'Pagamento via PIX': 'PIX',
+    'Pagar na entrega com cartão de débito/crédito': 'Cartão na entrega',
+    'Cartão de crédito': 'Cartão crédito',
+    'Cartão de débito': 'Cartão débito',
+    'Boleto bancário': 'Boleto',
+    'Transferência bancária': 'Transferência',
+    'Pagamento na entrega': 'Na entrega',
+    'Dinheiro na entrega': 'Dinheiro',
+    'Mercado Pago': 'MP',
+    'PayPal': 'PayPal',
+    'PagSeguro': 'PagSeguro'
+  };
+
+  let abbreviated = methodTitle;
+
+  // Verifica se existe uma abreviação específica
+  if (abbreviations[methodTitle]) {
+    abbreviated = abbreviations[methodTitle];
+  } else {
+    // Se a descrição for muito longa, trunca mantendo palavras-chave
+    if (methodTitle && methodTitle.length > 25) {
+      // Procura por palavras-chave importantes
+      if (methodTitle.toLowerCase().includes('pix')) {
+        abbreviated = 'PIX';
+      } else if (methodTitle.toLowerCase().includes('cartão') && methodTitle.toLowerCase().includes('entrega')) {
+        abbreviated = 'Cartão na entrega';
+      } else if (methodTitle.toLowerCase().includes('cartão')) {
+        abbreviated = methodTitle.toLowerCase().includes('débito') ? 'Cartão débito' : 'Cartão crédito';
+      } else if (methodTitle.toLowerCase().includes('boleto')) {
+        abbreviated = 'Boleto';
+      } else if (methodTitle.toLowerCase().includes('entrega')) {
+        abbreviated = 'Na entrega';
+      } else {
+        // Trunca para as primeiras 20 caracteres + "..."
+        abbreviated = methodTitle.substring(0, 20) + '...';
+      }
+    }
+  }
+
+  return abbreviated;
+}
+
+/**
+ * Determina o texto de status do pagamento exibido no recibo
+ * @param {Object} order - Dados do pedido
+ * @returns {string} Status do pagamento
+ */
+function getPaymentStatus(order) {
+  if (order.date_paid) {
+    const datePaid = new Date(order.date_paid);
+    return `Pago em ${datePaid.toLocaleDateString('pt-BR')}`;
+  }
+
+  switch (order.status) {
+    case 'processing':
+    case 'completed':
+      return 'Confirmado';
+    case 'on-hold':
+      return 'Aguardando';
+    case 'failed':
+      return 'Falhou';
+    case 'pending':
+      return 'Pendente';
+    case 'refunded':
+      return 'Reembolsado';
+    default:
+      return 'Não confirmado';
+  }
+}
+
+/**
+ * Indica se o pagamento ainda não foi recebido (cobrança na entrega ou PIX pendente)
+ * @param {string} status - Status do pagamento (getPaymentStatus)
+ * @returns {boolean} True se o valor ainda precisa ser cobrado
+ */
+function isPaymentPending(status) {
+  return status === 'Não confirmado' || status === 'Pendente';
+}
+
+/**
+ * Reúne método, status e detalhes (transação e metadados úteis) do pagamento
+ * @param {Object} order - Dados do pedido
+ * @returns {{method: string, status: string, details: string}} Informações do pagamento
+ */
+function buildPaymentInfo(order) {
+  let method = '';
+
+  if (order.payment_method_title) {
+    method = abbreviatePaymentMethod(order.payment_method_title);
+  } else if (order.payment_method) {
+    method = order.payment_method.toUpperCase();
+  }
+
+  const details = [];
+
+  // Transação se disponível
+  if (order.transaction_id) {
+    details.push(`ID: ${order.transaction_id}`);
+  }
+
+  // Verificar se tem informações úteis de pagamento nos metadados
+  if (order.meta_data) {
+    const paymentMeta = order.meta_data.filter(m => {
+      // Filtrar apenas metadados úteis de pagamento
+      const isPaymentRelated = (
+        m.key.includes('payment') ||
+        m.key.includes('_paid') ||
+        m.key.includes('transaction')
+      );
+
+      // Excluir metadados inúteis ou objetos complexos
+      const isUseful = (
+        !m.key.includes('dokan_commission') &&
+        !m.key.includes('_dokan_') &&
+        typeof m.value === 'string' &&
+        m.value !== '[object Object]' &&
+        m.value.length > 0 &&
+        m.value.length < 100 // Evitar valores muito longos
+      );
+
+      return isPaymentRelated && isUseful;
+    });
+
+    for (const meta of paymentMeta) {
+      const keyName = meta.key
+        .replace(/_/g, ' ')
+        .replace(/([A-Z])/g, ' $1')
+        .trim();
+      details.push(`${keyName}: ${meta.value}`);
+    }
+  }
+
+  return {
+    method,
+    status: getPaymentStatus(order),
+    details: details.join(' | ')
+  };
+}
+
+/**
+ * Modelo padrão do recibo, com layout otimizado para economizar papel
+ * A sintaxe está descrita em src/template.js
+ */
+const DEFAULT_TEMPLATE = `{{line =}}
+{{center bold}}NOVO PEDIDO - Xcondo Shop
+{{line =}}
+#{{id}} | {{date_created | date}} {{date_created | time}}
+{{#join " | "}}
+{{#if number}}Nº: {{number}}{{/if}}
+{{#if status}}Status: {{status | status}}{{/if}}
+{{/join}}
+{{#each delivery_header}}
+{{bold}}{{label}}: {{hang}}{{value}}
+{{/each}}
+{{line}}
+PAGAMENTO: {{hang}}{{payment.method}} | {{payment.status}}{{#if payment.details}} | {{payment.details}}{{/if}}
+{{line}}
+{{bold}}CLIENTE:
+{{#if billing}}
+{{billing.first_name}} {{billing.last_name}}{{#if billing.phone}} | {{billing.phone}}{{/if}}
+{{#if billing.email}}
+{{billing.email}}
+{{/if}}
+{{#join ", "}}
+{{billing.address_1}}
+{{billing.address_2}}
+{{billing.neighborhood}}
+{{/join}}
+{{#join " | "}}
+{{billing.city}}
+{{billing.state}}
+{{#if billing.postcode}}CEP: {{billing.postcode}}{{/if}}
+{{/join}}
+{{/if}}
+{{#if delivery}}
+{{line}}
+{{center bold double}}ENTREGA
+{{#each delivery}}
+{{bold}}{{label}}: {{hang}}{{value}}
+{{/each}}
+{{/if}}
+{{#if store_name or vendor_id}}
+Loja: {{store_name | default "N/A"}}{{#if vendor_id}} | ID: {{vendor_id}}{{/if}}
+{{/if}}
+{{line}}
+{{bold}}ITENS:
+{{#each line_items}}
+{{bold}}{{quantity}}x {{hang}}{{name | default "Produto"}}{{#if code}} {{code}}{{/if}}
+{{#if variations}}
+  {{hang}}{{variations}}
+{{/if}}
+  Unit: R$ {{price | money}}{{fill}}Total: R$ {{subtotal | money}}
+{{else}}
+Nenhum item
+{{/each}}
+{{#if delivery_items}}
+{{line}}
+{{#each delivery_items}}
+{{bold}}{{label}}: {{hang}}{{value}}
+{{/each}}
+{{/if}}
+{{line}}
+{{#if subtotal}}
+Subtotal:{{fill}}R$ {{subtotal | money}}
+{{/if}}
+{{#if shipping_total > 0}}
+Frete:{{fill}}R$ {{shipping_total | money}}
+{{/if}}
+{{#each fee_lines}}
+{{name | default "Taxa"}}:{{fill}}{{#if total < 0}}-{{/if}}R$ {{total | abs | money}}
+{{/each}}
+{{#each coupon_lines}}
+Cupom {{code | upper}}:{{fill}}-R$ {{discount | money}}
+{{else}}
+{{#if discount_total > 0}}
+Desconto:{{fill}}-R$ {{discount_total | money}}
+{{/if}}
+{{/each}}
+{{#each tax_lines}}
+{{label | default "Imposto"}}{{#if rate_percent}} ({{rate_percent}}%){{/if}}:{{fill}}R$ {{total | money}}
+{{else}}
+{{#if total_tax > 0}}
+Impostos:{{fill}}R$ {{total_tax | money}}
+{{/if}}
+{{/each}}
+{{bold double}}TOTAL:{{fill}}R$ {{total | money}}
+{{#if refunds}}
+{{#each refunds}}
+Reembolso{{#if reason}} ({{reason}}){{/if}}:{{fill}}-R$ {{total | abs | money}}
+{{/each}}
+{{bold}}Total líquido:{{fill}}R$ {{net_total | money}}
+{{/if}}
+{{#if shipping_lines}}
+Envio: {{hang}}{{#join " | "}}
+{{#each shipping_lines}}
+{{method_title | default "Envio"}}{{#if total > 0}} (R$ {{total | money}}){{/if}}
+{{/each}}
+{{/join}}
+{{/if}}
+{{#if customer_note}}
+Obs: {{hang}}{{customer_note}}
+{{/if}}
+{{#if pix_payload}}
+{{line}}
+{{center bold}}PAGUE COM PIX
+{{qrcode pix_payload}}
+{{center}}Valor: R$ {{net_total | money}}
+PIX copia e cola:
+{{#each pix_lines}}
+{{this}}
+{{/each}}
+{{/if}}
+{{#if delivery_footer}}
+{{line}}
+{{#each delivery_footer}}
+{{bold}}{{label}}: {{hang}}{{value}}
+{{/each}}
+{{/if}}
+{{line =}}
+Impresso: {{printed_at}}
+`;
+
+/**
+ * Modelo padrão da via da cozinha: itens e variações em destaque, sem preços nem dados do cliente
+ */
+const KITCHEN_TEMPLATE = `{{line =}}
+{{center bold double}}{{station | default "COZINHA" | upper}} - PEDIDO #{{id}}
+{{center}}{{date_created | date}} {{date_created | time}}
+{{line =}}
+{{#each line_items}}
+{{bold double}}{{quantity}}x {{hang}}{{name | default "Produto"}}
+{{#if variations}}
+{{bold}}  {{hang}}{{variations}}
+{{/if}}
+{{/each}}
+{{#if customer_note}}
+{{line}}
+{{bold}}Obs: {{hang}}{{customer_note}}
+{{/if}}
+{{line =}}
+Impresso: {{printed_at}}
+`;
+
+/**
+ * Modelo padrão da via do entregador: endereço, dados de entrega e valor a cobrar
+ */
+const COURIER_TEMPLATE = `{{line =}}
+{{center bold double}}ENTREGA - PEDIDO #{{id}}
+{{#each delivery_header}}
+{{bold}}{{label}}: {{hang}}{{value}}
+{{/each}}
+{{line =}}
+{{#if billing}}
+{{bold}}{{billing.first_name}} {{billing.last_name}}
+{{#if billing.phone}}
+Tel: {{billing.phone}}
+{{/if}}
+{{#join ", "}}
+{{billing.address_1}}
+{{billing.address_2}}
+{{billing.neighborhood}}
+{{/join}}
+{{#join " | "}}
+{{billing.city}}
+{{billing.state}}
+{{#if billing.postcode}}CEP: {{billing.postcode}}{{/if}}
+{{/join}}
+{{/if}}
+{{#each delivery}}
+{{bold}}{{label}}: {{hang}}{{value}}
+{{/each}}
+{{#each delivery_items}}
+{{bold}}{{label}}: {{hang}}{{value}}
+{{/each}}
+{{#if customer_note}}
+Obs: {{hang}}{{customer_note}}
+{{/if}}
+{{line}}
+PAGAMENTO: {{hang}}{{payment.method}} | {{payment.status}}
+{{#if amount_due > 0}}
+{{bold double}}COBRAR:{{fill}}R$ {{amount_due | money}}
+{{#if pix_payload}}
+{{qrcode pix_payload}}
+{{/if}}
+{{else}}
+{{center bold}}PAGO - NADA A COBRAR
+{{/if}}
+{{#if delivery_footer}}
+{{line}}
+{{#each delivery_footer}}
+{{bold}}{{label}}: {{hang}}{{value}}
+{{/each}}
+{{/if}}
+{{line =}}
+Impresso: {{printed_at}}
+`;
+
+/**
+ * Filtros específicos do recibo disponíveis nos modelos
+ */
+const RECEIPT_FILTERS = {
+  status: (value) => translateOrderStatus(value),
+  date: (value) => (value ? new Date(value).toLocaleDateString('pt-BR') : ''),
+  time: (value) => (value ? new Date(value).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' }) : ''),
+  datetime: (value) => (value ? new Date(value).toLocaleString('pt-BR') : '')
+};
+
+/**
+ * Monta o endereço da página do pedido no painel do WordPress
+ * @param {Object} order - Dados do pedido
+ * @param {string} apiUrl - URL da loja
+ * @returns {string} URL da página de edição do pedido ou vazio sem URL da loja
+ */
+function buildAdminUrl(order, apiUrl) {
+  if (!apiUrl || !order.id) {
+    return '';
+  }
+
+  return `${apiUrl.trim().replace(/\/+$/, '')}/wp-admin/post.php?post=${order.id}&action=edit`;
+}
+
+/**
+ * Gera o PIX "copia e cola" para pedidos ainda não pagos
+ * Só é gerado com pagamento "Não confirmado" ou "Pendente", valor positivo e com chave, nome e cidade configurados
+ * @param {Object} order - Dados do pedido
+ * @param {Object} payment - Informações do pagamento (buildPaymentInfo)
+ * @param {Object} pix - Dados do recebedor (key, merchantName, merchantCity)
+ * @param {string} amount - Valor cobrado: o total líquido, já descontados os reembolsos
+ * @returns {string} Código do BR Code ou vazio
+ */
+function buildOrderPix(order, payment, pix, amount) {
+  if (!pix || !pix.key || !pix.merchantName || !pix.merchantCity) {
+    return '';
+  }
+  if (!isPaymentPending(payment.status) || !(parseFloat(amount) > 0)) {
+    return '';
+  }
+
+  return buildPixPayload({
+    key: pix.key,
+    merchantName: pix.merchantName,
+    merchantCity: pix.merchantCity,
+    amount,
+    txid: order.id ? `PEDIDO${order.id}` : ''
+  });
+}
+
+/**
+ * Monta os dados disponíveis no modelo: o pedido e campos calculados
+ * @param {Object} order - Dados do pedido
+ * @param {Object} options - Opções do recibo (width, apiUrl, pix, itemMetaFilter, deliveryFields)
+ * @returns {Object} Dados do modelo
+ */
+function buildTemplateData(order, options = {}) {
+  const vendorIdMeta = order.meta_data && order.meta_data.find(m => m.key === '_dokan_vendor_id');
+  const payment = buildPaymentInfo(order);
+  const width = parseInt(options.width) || 48;
+  const itemMetaRules = parseMetaFilter(options.itemMetaFilter);
+  const orderFields = mapFields(order.meta_data, parseFieldMapping(options.deliveryFields));
+  const fieldsAt = position => orderFields.filter(field => field.position === position);
+  const netTotal = ((parseFloat(order.total) || 0) - (order.refunds || [])
+    .reduce((sum, refund) => sum + Math.abs(parseFloat(refund.total) || 0), 0)).toFixed(2);
+  // O QR Code cobra o mesmo valor impresso no ticket (amount_due e faixa de cobrança)
+  const pixPayload = buildOrderPix(order, payment, options.pix, netTotal);
+
+  return {
+    ...order,
+    date_created: order.date_created || new Date().toISOString(),
+    payment,
+    vendor_id: vendorIdMeta ? vendorIdMeta.value : '',
+    admin_url: buildAdminUrl(order, options.apiUrl),
+    // Impostos por alíquota, somando o imposto dos produtos e do frete
+    tax_lines: (order.tax_lines || []).map(tax => ({
+      ...tax,
+      total: ((parseFloat(tax.tax_total) || 0) + (parseFloat(tax.shipping_tax_total) || 0)).toFixed(2)
+    })),
+    // Total após os reembolsos já emitidos (os valores de refunds vêm negativos da API)
+    net_total: netTotal,
+    // Valor a cobrar na entrega: o total líquido quando o pagamento ainda não foi recebido
+    amount_due: isPaymentPending(payment.status) ? netTotal : '0.00',
+    // Dados de entrega do condomínio (torre, bloco, apartamento...) mapeados dos metadados do pedido,
+    // separados pela posição escolhida em cada campo (ver src/meta.js)
+    delivery: fieldsAt('delivery'),
+    delivery_header: fieldsAt('header'),
+    delivery_items: fieldsAt('items'),
+    delivery_footer: fieldsAt('footer'),
+    pix_payload: pixPayload,
+    // Código "copia e cola" cortado na largura exata, sem quebra em palavras, para ser digitado sem perdas
+    pix_lines: pixPayload ? pixPayload.match(new RegExp(`.{1,${width}}`, 'g')) : [],
+    printed_at: new Date().toLocaleString('pt-BR'),
+    line_items: (order.line_items || []).map(item => {
+      // Variações e opções escolhidas (ex: "Tamanho: G | Sabor: Frango"), já filtradas e renomeadas
+      const meta = filterMeta(item.meta_data, itemMetaRules);
+
+      return {
+        ...item,
+        quantity: item.quantity || 1,
+        // Código/SKU do produto se disponível
+        code: item.sku ? `[${item.sku}]` : item.product_id ? `[ID:${item.product_id}]` : '',
+        meta,
+        variations: meta.map(m => `${m.label}: ${m.value}`).join(' | ')
+      };
+    })
+  };
+}
+
+/**
+ * Monta os blocos do recibo de um pedido a partir do modelo configurado
+ * @param {Object} order - Dados do pedido
+ * @param {Object} options - Opções de layout
+ * @param {number} options.width - Largura em caracteres (padrão: 48)
+ * @param {string} options.template - Modelo do recibo (padrão: DEFAULT_TEMPLATE)
+ * @param {string} options.apiUrl - URL da loja, usada no link do pedido ({{admin_url}})
+ * @param {Object} options.pix - Recebedor do PIX de pedidos não pagos (key, merchantName, merchantCity)
+ * @param {string} options.deliveryFields - Campos do pedido impressos no bloco ENTREGA (ver src/meta.js)
+ * @param {string} options.itemMetaFilter - Regras dos metadados impressos sob cada item (ver src/meta.js)
+ * @param {Object} options.logo - Logotipo impresso no topo do recibo ({raster, dotWidth}, ver src/logo.js)
+ * @param {boolean} options.chargeBanner - Imprime a faixa invertida "COBRAR NA ENTREGA" com o total líquido
+ * @param {string} options.redirectedFrom - Impressora de origem de um ticket enviado à impressora reserva
+ * @returns {{width: number, blocks: Array}} Recibo estruturado
+ */
+function buildReceipt(order, options = {}) {
+  const template = options.template && options.template.trim() !== '' ? options.template : DEFAULT_TEMPLATE;
+
+  const data = buildTemplateData(order, options);
+  const width = parseInt(options.width) || 48;
+  const receipt = renderTemplate(template, data, { width, filters: RECEIPT_FILTERS });
+
+  // Faixa de cobrança pedida pelas regras de impressão (ver src/rules.js), abaixo do logotipo
+  if (options.chargeBanner) {
+    const banner = wrapText(`COBRAR NA ENTREGA R$ ${data.net_total}`, width)
+      .map(text => ({ type: 'text', text, align: 'center', bold: true, size: 'double', invert: true }));
+    receipt.blocks.unshift(...banner, { type: 'feed', lines: 1 });
+  }
+
+  // Ticket impresso em impressora reserva: identifica a impressora de origem (ver printTicketWithFailover)
+  if (options.redirectedFrom) {
+    const notice = wrapText(`*** REDIRECIONADO DE ${options.redirectedFrom} ***`, width)
+      .map(text => ({ type: 'text', text, align: 'center', bold: true, size: 'normal' }));
+    receipt.blocks.unshift(...notice);
+  }
+
+  if (options.logo) {
+    receipt.blocks.unshift({ type: 'image', raster: options.logo.raster, dotWidth: options.logo.dotWidth, align: 'center' });
+  }
+
+  return receipt;
+}
+
+/**
+ * Valida um modelo de recibo gerando um recibo de exemplo
+ * Erros de sintaxe e filtros desconhecidos são lançados com a linha do problema
+ * @param {string} template - Modelo do recibo
+ */
+function validateTemplate(template) {
+  buildReceipt({
+    id: 0,
+    status: 'processing',
+    billing: { first_name: 'Teste' },
+    line_items: [{ name: 'Produto', quantity: 1, price: 0, subtotal: '0' }],
+    shipping_lines: [{ method_title: 'Envio', total: '0' }]
+  }, { template });
+}
+
+/**
+ * Alinha o texto na largura do recibo
+ * @param {string} value - Texto
+ * @param {string} align - Alinhamento (left, center, right)
+ * @param {number} width - Largura em caracteres
+ * @returns {string} Texto alinhado
+ */
+function alignText(value, align, width) {
+  if (align === 'center') {
+    return ' '.repeat(Math.max(0, Math.floor((width - value.length) / 2))) + value;
+  }
+  if (align === 'right') {
+    return ' '.repeat(Math.max(0, width - value.length)) + value;
+  }
+  return value;
+}
+
+/**
+ * Distribui o recibo estruturado em linhas de texto com o alinhamento aplicado
+ * Base do layout de texto (Notepad) e da pré-visualização
+ * Códigos de barras e QR codes não existem em texto puro e aparecem como o valor codificado;
+ * imagens (logotipo) são omitidas e o cabeçalho em texto do modelo faz esse papel
+ * @param {{width: number, blocks: Array}} receipt - Recibo estruturado
+ * @returns {Array<{text: string, bold: boolean, size: string}>} Linhas do recibo
+ */
+function layoutLines(receipt) {
+  const width = receipt.width;
+  const lines = [];
+
+  for (const block of receipt.blocks) {
+    switch (block.type) {
+      case 'separator':
+        lines.push({ text: (block.char || '-').repeat(width), bold: false, size: 'normal' });
+        break;
+      case 'feed':
+        for (let i = 0; i < (block.lines || 1); i++) {
+          lines.push({ text: '', bold: false, size: 'normal' });
+        }
+        break;
+      case 'barcode':
+        lines.push({ text: alignText(`||| ${block.data} |||`, block.align, width), bold: false, size: 'normal' });
+        break;
+      case 'qrcode':
+        for (const text of wrapText(`[QR] ${block.data}`, width)) {
+          lines.push({ text: alignText(text, block.align, width), bold: false, size: 'normal' });
+        }
+        break;
+      case 'image':
+        break;
+      default:
+        lines.push({
+          text: alignText(String(block.text || ''), block.align, width),
+          bold: Boolean(block.bold),
+          size: block.size || 'normal',
+          invert: Boolean(block.invert)
+        });
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Converte o recibo estruturado em texto puro para o layout legado (Notepad)
+ * @param {{width: number, blocks: Array}} receipt - Recibo estruturado
+ * @returns {string} Conteúdo em texto
+ */
+function renderText(receipt) {
+  // Texto puro não tem fundo preto: o texto invertido é destacado com "#" até as bordas
+  let content = layoutLines(receipt).map(line => (line.invert
+    ? line.text.padEnd(receipt.width).replace(/^ +| +$/g, spaces => '#'.repeat(spaces.length))
+    : line.text) + '\n').join('');
+
+  // Apenas 3 linhas em branco para corte (reduzido de 10)
+  content += '\n\n\n';
+
+  return content;
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  KITCHEN_TEMPLATE,
+  COURIER_TEMPLATE,
+  translateOrderStatus,
+  buildReceipt,
+  validateTemplate,
+  layoutLines,
+  renderText
+};
@@ -0,0 +1,114 @@
+/**
+ * Roteamento dos itens do pedido para impressoras diferentes (ex: bebidas no bar, comida na cozinha)
+ *
+ * As regras são configuradas como texto, uma por linha, no formato "critério:valor=impressora":
+ *   categoria:Bebidas=tcp://192.168.0.60:9100   Itens de produtos da categoria (nome ou slug)
+ *   tag:gelado=tcp://192.168.0.60:9100          Itens de produtos com a tag (nome ou slug)
+ *   sku:BEB-=EPSON TM-T20                       Itens cujo SKU começa com o prefixo
+ *   # comentário                                Ignorado
+ *
+ * A primeira regra que combina com o item vale; itens sem regra ficam na impressora da via.
+ * Categorias e tags vêm da API de produtos (ver attachProductInfo em src/api.js).
+ */
+
+// Critérios aceitos e o campo do item comparado
+const CRITERIA = {
+  categoria: 'category',
+  category: 'category',
+  tag: 'tag',
+  sku: 'sku'
+};
+
+/**
+ * Interpreta as regras de roteamento
+ * @param {string} text - Texto da configuração
+ * @returns {Array<{field: string, value: string, printerId: string}>} Regras válidas, na ordem configurada
+ */
+function parseItemRoutes(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  const routes = [];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    const match = /^(\w+)\s*:\s*([^=]+?)\s*=\s*(.+)$/.exec(line);
+    if (!match || !CRITERIA[match[1].toLowerCase()]) {
+      continue;
+    }
+
+    routes.push({
+      field: CRITERIA[match[1].toLowerCase()],
+      value: match[2].toLowerCase(),
+      printerId: match[3].trim()
+    });
+  }
+
+  return routes;
+}
+
+/**
+ * Verifica se algum termo (categoria ou tag {id, name, slug}) tem o nome ou slug procurado
+ * @param {Array} terms - Termos do produto
+ * @param {string} value - Nome ou slug em minúsculas
+ * @returns {boolean} True se encontrado
+ */
+function hasTerm(terms, value) {
+  return (terms || []).some(term => (
+    String(term.name || '').toLowerCase() === value || String(term.slug || '').toLowerCase() === value
+  ));
+}
+
+/**
+ * Verifica se um item combina com uma regra
+ * @param {Object} item - Item do pedido (line_items), com product_categories e product_tags quando disponíveis
+ * @param {Object} route - Regra de parseItemRoutes
+ * @returns {boolean} True se a regra se aplica ao item
+ */
+function itemMatchesRoute(item, route) {
+  switch (route.field) {
+    case 'category':
+      return hasTerm(item.product_categories, route.value);
+    case 'tag':
+      return hasTerm(item.product_tags, route.value);
+    case 'sku':
+      return Boolean(item.sku) && String(item.sku).toLowerCase().startsWith(route.value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Separa os itens do pedido por impressora de destino
+ * @param {Array} lineItems - Itens do pedido
+ * @param {Array} routes - Regras de parseItemRoutes
+ * @param {string} defaultPrinterId - Impressora dos itens sem regra
+ * @returns {Array<{printerId: string, routed: boolean, items: Array}>} Grupos de itens, um por impressora
+ */
+function routeLineItems(lineItems, routes, defaultPrinterId) {
+  const groups = [];
+
+  for (const item of lineItems || []) {
+    const route = routes.find(r => itemMatchesRoute(item, r));
+    const printerId = route ? route.printerId : defaultPrinterId;
+
+    let group = groups.find(g => g.printerId === printerId);
+    if (!group) {
+      group = { printerId, routed: Boolean(route), items: [] };
+      groups.push(group);
+    }
+    group.items.push(item);
+  }
+
+  return groups;
+}
+
+module.exports = {
+  parseItemRoutes,
+  routeLineItems
+};
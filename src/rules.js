@@ -0,0 +1,320 @@
+/**
+ * Regras de impressão: condições sobre o pedido que alteram as vias impressas
+ *
+ * As regras são configuradas como texto, uma por linha, no formato "condições => ações":
+ *   pagamento = cod => cobrar; via entregador
+ *   envio ~ retirada => pular
+ *   total > 200 => copias cliente 2
+ *   observacao => impressora cozinha "EPSON TM-T20"
+ *   sku ~ BEB- e status = processing => via cozinha
+ *   # comentário
+ *
+ * Condições (unidas por "e"; todas precisam valer):
+ *   pagamento   Método de pagamento (id, ex: cod, ou título)
+ *   envio       Método de envio (id, ex: local_pickup, ou título)
+ *   total       Total do pedido
+ *   status      Status do pedido (ex: processing, on-hold)
+ *   observacao  Observação do cliente
+ *   sku         SKU de algum item do pedido
+ * Operadores: = (igual), != (diferente), ~ (contém); no total também >, <, >=, <=.
+ * Sem operador, a condição vale quando o campo está preenchido (ex: "observacao").
+ * Textos com espaços vão entre aspas; maiúsculas e minúsculas não são diferenciadas.
+ *
+ * Ações (separadas por ";"); sem a via, valem para todas as vias impressas:
+ *   pular                      Não imprime o pedido
+ *   via <via>                  Imprime também a via (cliente, cozinha, entregador)
+ *   copias [via] <n>           Quantidade de cópias
+ *   impressora [via] <id>      Impressora
+ *   modelo [via] <via>         Usa o modelo de outra via
+ *   cobrar [via]               Faixa invertida "COBRAR NA ENTREGA R$ X" no topo do recibo
+ *
+ * Todas as regras que combinam com o pedido são aplicadas, na ordem configurada; as vias incluídas
+ * com "via" recebem também as ações das outras regras (ex: "cobrar" sem via).
+ */
+
+const { COPY_TYPES, COPY_NAMES, clampCopyCount, resolveCopy, getPrintCopies } = require('./copies');
+
+// Campos que podem ser usados nas condições
+const FIELDS = ['pagamento', 'envio', 'total', 'status', 'observacao', 'sku'];
+
+// Operadores aceitos pelos campos de texto (o total aceita também >, <, >=, <=)
+const TEXT_OPERATORS = ['=', '!=', '~'];
+
+/**
+ * Remove acentos e maiúsculas de uma palavra-chave (ex: "Cópias" -> "copias")
+ * @param {string} word - Palavra da regra
+ * @returns {string} Palavra normalizada
+ */
+function normalizeWord(word) {
+  return String(word || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Remove as aspas de um valor
+ * @param {string} value - Valor da regra
+ * @returns {string} Valor sem aspas
+ */
+function unquote(value) {
+  return value.trim().replace(/^"(.*)"$/, '$1');
+}
+
+/**
+ * Divide o texto pelo separador, ignorando separadores entre aspas
+ * @param {string} text - Texto da regra
+ * @param {string} separator - Expressão do separador
+ * @returns {Array<string>} Partes sem espaços nas pontas
+ */
+function splitOutsideQuotes(text, separator) {
+  return text.split(new RegExp(`${separator}(?=(?:[^"]*"[^"]*")*[^"]*$)`, 'i')).map(part => part.trim());
+}
+
+/**
+ * Interpreta uma condição (ex: "total > 100")
+ * @param {string} text - Texto da condição
+ * @returns {{field: string, operator: string, value: string}} Condição
+ */
+function parseCondition(text) {
+  const match = /^([^\s=!~<>]+)\s*(?:(!=|>=|<=|=|~|>|<)\s*(.+))?$/.exec(text);
+  if (!match) {
+    throw new Error(`condição inválida "${text}"`);
+  }
+
+  const field = normalizeWord(match[1]);
+  const operator = match[2] || '';
+  const value = match[3] ? unquote(match[3]) : '';
+
+  if (!FIELDS.includes(field)) {
+    throw new Error(`campo desconhecido "${match[1]}" (use ${FIELDS.join(', ')})`);
+  }
+  if (field === 'total' && operator && (operator === '~' || isNaN(parseFloat(value)))) {
+    throw new Error(`o total precisa ser comparado a um número (ex: total > 100)`);
+  }
+  if (field !== 'total' && operator && !TEXT_OPERATORS.includes(operator)) {
+    throw new Error(`o campo "${match[1]}" aceita apenas ${TEXT_OPERATORS.join(', ')}`);
+  }
+
+  return { field, operator, value };
+}
+
+/**
+ * Separa a via opcional do início dos argumentos de uma ação
+ * @param {Array<string>} args - Argumentos da ação
+ * @param {number} minRest - Quantidade mínima de argumentos após a via
+ * @returns {{copyType: string, rest: Array<string>}} Via (vazia: todas) e argumentos restantes
+ */
+function takeCopyType(args, minRest) {
+  const copyType = args.length > minRest ? COPY_NAMES[normalizeWord(args[0])] : '';
+  return copyType ? { copyType, rest: args.slice(1) } : { copyType: '', rest: args };
+}
+
+/**
+ * Interpreta uma ação (ex: "copias cliente 2")
+ * @param {string} text - Texto da ação
+ * @returns {{type: string, copyType: string, value: *}} Ação
+ */
+function parseAction(text) {
+  const args = text.match(/"[^"]*"|\S+/g) || [];
+  const name = normalizeWord(args.shift());
+
+  switch (name) {
+    case 'pular':
+      return { type: 'skip', copyType: '', value: null };
+
+    case 'via': {
+      const copyType = COPY_NAMES[normalizeWord(args[0])];
+      if (!copyType || args.length !== 1) {
+        throw new Error('use "via cliente", "via cozinha" ou "via entregador"');
+      }
+      return { type: 'copy', copyType, value: null };
+    }
+
+    case 'copias': {
+      const { copyType, rest } = takeCopyType(args, 1);
+      if (rest.length !== 1 || !/^\d+$/.test(rest[0])) {
+        throw new Error('use "copias <quantidade>" ou "copias <via> <quantidade>"');
+      }
+      return { type: 'count', copyType, value: clampCopyCount(rest[0]) };
+    }
+
+    case 'impressora': {
+      const { copyType, rest } = takeCopyType(args, 1);
+      if (rest.length === 0) {
+        throw new Error('informe a impressora (ex: impressora "EPSON TM-T20")');
+      }
+      return { type: 'printer', copyType, value: unquote(rest.join(' ')) };
+    }
+
+    case 'modelo': {
+      const { copyType, rest } = takeCopyType(args, 1);
+      const templateType = COPY_NAMES[normalizeWord(rest[0])];
+      if (!templateType || rest.length !== 1) {
+        throw new Error('use "modelo <via>" ou "modelo <via> <via do modelo>" (cliente, cozinha, entregador)');
+      }
+      return { type: 'template', copyType, value: templateType };
+    }
+
+    case 'cobrar': {
+      const { copyType, rest } = takeCopyType(args, 0);
+      if (rest.length > 0) {
+        throw new Error('use "cobrar" ou "cobrar <via>"');
+      }
+      return { type: 'banner', copyType, value: true };
+    }
+
+    default:
+      throw new Error(`ação desconhecida "${name}" (use pular, via, copias, impressora, modelo, cobrar)`);
+  }
+}
+
+/**
+ * Interpreta as regras de impressão
+ * Ao contrário do roteamento de itens, linhas inválidas geram erro: uma regra ignorada em silêncio
+ * poderia deixar de cobrar um pedido ou de pular uma impressão
+ * @param {string} text - Texto da configuração
+ * @returns {Array<{conditions: Array, actions: Array}>} Regras, na ordem configurada
+ */
+function parsePrintRules(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  const rules = [];
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) {
+      return;
+    }
+
+    try {
+      const parts = splitOutsideQuotes(line, '=>');
+      if (parts.length !== 2 || !parts[0] || !parts[1]) {
+        throw new Error('use o formato "condições => ações"');
+      }
+
+      rules.push({
+        conditions: splitOutsideQuotes(parts[0], '\\s+e\\s+').map(parseCondition),
+        actions: splitOutsideQuotes(parts[1], ';').filter(Boolean).map(parseAction)
+      });
+    } catch (error) {
+      throw new Error(`Regra de impressão na linha ${index + 1}: ${error.message}`);
+    }
+  });
+
+  return rules;
+}
+
+/**
+ * Obtém os valores do pedido comparados por um campo das condições
+ * @param {Object} order - Dados do pedido
+ * @param {string} field - Campo da condição
+ * @returns {Array<string>} Valores preenchidos, em minúsculas
+ */
+function getOrderValues(order, field) {
+  let values;
+
+  switch (field) {
+    case 'pagamento':
+      values = [order.payment_method, order.payment_method_title];
+      break;
+    case 'envio':
+      values = (order.shipping_lines || []).flatMap(line => [line.method_id, line.method_title]);
+      break;
+    case 'status':
+      values = [order.status];
+      break;
+    case 'observacao':
+      values = [order.customer_note];
+      break;
+    case 'sku':
+      values = (order.line_items || []).map(item => item.sku);
+      break;
+    default:
+      values = [];
+  }
+
+  return values
+    .filter(value => value !== null && value !== undefined && String(value).trim() !== '')
+    .map(value => String(value).trim().toLowerCase());
+}
+
+/**
+ * Verifica se o pedido atende a uma condição
+ * @param {Object} order - Dados do pedido
+ * @param {Object} condition - Condição de parseCondition
+ * @returns {boolean} True se a condição vale
+ */
+function matchesCondition(order, condition) {
+  if (condition.field === 'total') {
+    const total = parseFloat(order.total) || 0;
+    const value = parseFloat(condition.value);
+
+    switch (condition.operator) {
+      case '=': return total === value;
+      case '!=': return total !== value;
+      case '>': return total > value;
+      case '<': return total < value;
+      case '>=': return total >= value;
+      case '<=': return total <= value;
+      default: return total > 0;
+    }
+  }
+
+  const values = getOrderValues(order, condition.field);
+  const expected = condition.value.toLowerCase();
+
+  switch (condition.operator) {
+    case '=': return values.includes(expected);
+    case '!=': return !values.includes(expected);
+    case '~': return values.some(value => value.includes(expected));
+    default: return values.length > 0;
+  }
+}
+
+/**
+ * Aplica as regras de impressão ao pedido
+ * @param {Object} order - Dados do pedido
+ * @param {Object} config - Configurações do aplicativo (printRules e as de getPrintCopies)
+ * @returns {{skip: boolean, copies: Array}} Se o pedido deve ser pulado e as vias a imprimir, já com as alterações
+ *          (chargeBanner: imprime a faixa de cobrança na via)
+ */
+function applyPrintRules(order, config = {}) {
+  const copies = getPrintCopies(config);
+  const actions = parsePrintRules(config.printRules)
+    .filter(rule => rule.conditions.every(condition => matchesCondition(order, condition)))
+    .flatMap(rule => rule.actions);
+
+  // Primeiro inclui as vias pedidas, para que as demais ações também valham para elas
+  for (const action of actions.filter(a => a.type === 'copy')) {
+    if (!copies.some(copy => copy.type === action.copyType)) {
+      copies.push(resolveCopy(config, action.copyType));
+    }
+  }
+
+  // Vias incluídas por regras seguem a ordem de impressão padrão
+  const typeOrder = Object.keys(COPY_TYPES);
+  copies.sort((a, b) => typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type));
+
+  for (const action of actions) {
+    const targets = action.copyType ? copies.filter(copy => copy.type === action.copyType) : copies;
+
+    for (const copy of targets) {
+      if (action.type === 'count') {
+        copy.count = action.value;
+      } else if (action.type === 'printer') {
+        copy.printerId = action.value;
+      } else if (action.type === 'template') {
+        copy.template = resolveCopy(config, action.value).template;
+      } else if (action.type === 'banner') {
+        copy.chargeBanner = true;
+      }
+    }
+  }
+
+  return { skip: actions.some(action => action.type === 'skip'), copies };
+}
+
+module.exports = {
+  parsePrintRules,
+  applyPrintRules
+};
@@ -0,0 +1,615 @@
+/**
+ * Modelos de recibo editáveis pelo usuário
+ *
+ * O modelo é texto com marcações {{ }} e cada linha gerada vira um bloco do recibo (ver src/receipt.js):
+ *   {{billing.first_name}}             Campo do pedido (caminho com pontos)
+ *   {{total | money}}                  Campo com filtros (money, abs, upper, lower, trim, truncate N, default "texto")
+ *   {{#each line_items}} ... {{/each}} Repete o conteúdo para cada item (aceita {{else}} para lista vazia)
+ *   {{#if shipping_total > 0}} ... {{else}} ... {{/if}}
+ *                                      Condicional (==, !=, >, <, >=, <=, and, or); {{#unless}} é o inverso
+ *   {{#join " | "}} ... {{/join}}      Junta as linhas não vazias do conteúdo com o separador
+ *   {{center bold}}                    Estilo da linha: left, center, right, bold, double, invert (branco no preto)
+ *   {{line =}}  {{feed 2}}             Linha separadora e linhas em branco (sozinhos na linha)
+ *   {{fill}}  {{fill .}}               Preenche a linha até a largura configurada (colunas alinhadas)
+ *   {{hang}}                           Posição onde as linhas de continuação se alinham ao quebrar o texto
+ *   {{barcode id}}  {{qrcode admin_url}}
+ *                                      Código de barras / QR code com o valor do campo (sozinhos na linha, centralizados)
+ *   {{! comentário }}                  Ignorado
+ *
+ * Marcações de bloco (#each, #if, #join, else, /...) e comentários sozinhos na linha não geram linha em branco.
+ * Linhas maiores que a largura são quebradas em palavras inteiras (ver src/layout.js).
+ */
+
+const { wrapText, alignColumns } = require('./layout');
+
+// Palavras de estilo aceitas no início da linha
+const STYLE_WORDS = ['left', 'center', 'right', 'bold', 'double', 'invert'];
+
+// Comandos de formatação que não são campos do pedido
+// Símbolos gráficos (código de barras e QR code) e o campo usado quando nenhum é informado
+const SYMBOLS = {
+  barcode: 'id',
+  qrcode: 'admin_url'
+};
+
+const DIRECTIVES = [...STYLE_WORDS, 'line', 'feed', 'fill', 'hang', ...Object.keys(SYMBOLS)];
+
+const SECTIONS = ['each', 'if', 'unless', 'join'];
+
+// Delimitadores internos dos comandos de formatação no texto intermediário
+const MARK_OPEN = '\u0001';
+const MARK_CLOSE = '\u0002';
+
+const TAG_REGEX = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+
+/**
+ * Filtros disponíveis em qualquer modelo
+ */
+const BASE_FILTERS = {
+  money: (value) => (parseFloat(value) || 0).toFixed(2),
+  abs: (value) => Math.abs(parseFloat(value) || 0),
+  upper: (value) => String(value).toUpperCase(),
+  lower: (value) => String(value).toLowerCase(),
+  trim: (value) => String(value).trim(),
+  truncate: (value, length) => String(value).substring(0, parseInt(length) || undefined),
+  default: (value, fallback) => (isEmpty(value) ? fallback : value)
+};
+
+/**
+ * Cria um erro de modelo indicando a linha do problema
+ * @param {string} source - Texto do modelo
+ * @param {number} index - Posição no texto
+ * @param {string} message - Descrição do problema
+ * @returns {Error} Erro com a linha
+ */
+function templateError(source, index, message) {
+  const line = source.substring(0, index).split('\n').length;
+  return new Error(`Modelo do recibo, linha ${line}: ${message}`);
+}
+
+/**
+ * Divide argumentos separados por espaço, respeitando textos entre aspas
+ * @param {string} text - Argumentos
+ * @returns {Array<string>} Argumentos sem aspas
+ */
+function splitArgs(text) {
+  const args = [];
+  const regex = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+
+  while ((match = regex.exec(text)) !== null) {
+    args.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3]);
+  }
+
+  return args;
+}
+
+/**
+ * Separa o conteúdo do modelo em textos e marcações
+ * @param {string} source - Texto do modelo
+ * @returns {Array<Object>} Tokens
+ */
+function tokenize(source) {
+  const tokens = [];
+  let lastIndex = 0;
+  let match;
+
+  TAG_REGEX.lastIndex = 0;
+  while ((match = TAG_REGEX.exec(source)) !== null) {
+    if (match.index > lastIndex) {
+      tokens.push({ type: 'text', value: source.substring(lastIndex, match.index) });
+    }
+
+    const content = match[1];
+    const token = { index: match.index };
+
+    if (content.startsWith('!')) {
+      token.type = 'comment';
+    } else if (content.startsWith('#')) {
+      const [, name, args] = /^#(\w+)\s*([\s\S]*)$/.exec(content) || [];
+      if (!SECTIONS.includes(name)) {
+        throw templateError(source, match.index, `bloco desconhecido "{{${content}}}"`);
+      }
+      if (!args) {
+        throw templateError(source, match.index, `"{{#${name}}}" precisa de um argumento`);
+      }
+      Object.assign(token, { type: 'open', name, args });
+    } else if (content.startsWith('/')) {
+      Object.assign(token, { type: 'close', name: content.substring(1).trim() });
+    } else if (content === 'else') {
+      token.type = 'else';
+    } else if (DIRECTIVES.includes(content.split(/\s+/)[0])) {
+      Object.assign(token, { type: 'directive', value: content.replace(/\s+/g, ' ') });
+    } else {
+      const [path, ...filters] = content.split('|').map(part => part.trim());
+      if (!path) {
+        throw templateError(source, match.index, 'campo vazio "{{ }}"');
+      }
+      Object.assign(token, {
+        type: 'variable',
+        path,
+        filters: filters.map(filter => {
+          const [name, ...args] = splitArgs(filter);
+          return { name, args };
+        })
+      });
+    }
+
+    tokens.push(token);
+    lastIndex = TAG_REGEX.lastIndex;
+  }
+
+  if (lastIndex < source.length) {
+    tokens.push({ type: 'text', value: source.substring(lastIndex) });
+  }
+
+  return tokens;
+}
+
+/**
+ * Remove o espaço e a quebra de linha ao redor de marcações de bloco que estão sozinhas na linha
+ * @param {Array<Object>} tokens - Tokens do modelo
+ */
+function stripStandaloneTags(tokens) {
+  const openJoins = [];
+
+  // A verificação usa o texto original, pois marcações vizinhas compartilham a mesma quebra de linha
+  const originals = tokens.map(token => token.value);
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (!['open', 'close', 'else', 'comment'].includes(token.type)) {
+      continue;
+    }
+
+    // O fechamento de um #join em linha mantém a quebra de linha que encerra o texto
+    if (token.type === 'open' && token.name === 'join') {
+      openJoins.push(token);
+    }
+    if (token.type === 'close' && token.name === 'join' && openJoins.length > 0 && !openJoins.pop().standalone) {
+      continue;
+    }
+
+    const previous = tokens[i - 1];
+    const next = tokens[i + 1];
+
+    // Início de linha: começo do modelo ou texto anterior terminado em quebra de linha (com espaços opcionais)
+    const startsLine = !previous || (previous.type === 'text' &&
+      (/\n[ \t]*$/.test(originals[i - 1]) || (i === 1 && /^[ \t]*$/.test(originals[i - 1]))));
+    const endsLine = !next || (next.type === 'text' && /^[ \t]*(\n|$)/.test(originals[i + 1]));
+
+    if (startsLine && endsLine) {
+      token.standalone = true;
+      if (previous) {
+        previous.value = previous.value.replace(/[ \t]*$/, '');
+      }
+      if (next) {
+        next.value = next.value.replace(/^[ \t]*\n?/, '');
+      }
+    }
+  }
+}
+
+/**
+ * Monta a árvore de blocos a partir dos tokens
+ * @param {string} source - Texto do modelo (para mensagens de erro)
+ * @param {Array<Object>} tokens - Tokens do modelo
+ * @returns {Array<Object>} Nós do modelo
+ */
+function buildTree(source, tokens) {
+  const root = { children: [] };
+  const stack = [root];
+
+  for (const token of tokens) {
+    const current = stack[stack.length - 1];
+    const target = current.inElse ? current.alternate : current.children;
+
+    switch (token.type) {
+      case 'comment':
+        break;
+      case 'open': {
+        const node = {
+          type: 'section',
+          name: token.name,
+          args: token.args,
+          standalone: Boolean(token.standalone),
+          index: token.index,
+          children: [],
+          alternate: []
+        };
+
+        if (token.name === 'join' && splitArgs(token.args).length === 0) {
+          throw templateError(source, token.index, '"{{#join}}" precisa de um separador entre aspas');
+        }
+        if (token.name !== 'join') {
+          parseCondition(token.args, source, token.index);
+        }
+
+        target.push(node);
+        stack.push(node);
+        break;
+      }
+      case 'else':
+        if (current === root || current.name === 'join' || current.inElse) {
+          throw templateError(source, token.index, '"{{else}}" fora de um bloco #if, #unless ou #each');
+        }
+        current.inElse = true;
+        break;
+      case 'close':
+        if (current === root) {
+          throw templateError(source, token.index, `"{{/${token.name}}}" sem bloco aberto`);
+        }
+        if (current.name !== token.name) {
+          throw templateError(source, token.index, `esperado "{{/${current.name}}}", encontrado "{{/${token.name}}}"`);
+        }
+        stack.pop();
+        break;
+      default:
+        target.push(token);
+    }
+  }
+
+  if (stack.length > 1) {
+    const unclosed = stack[stack.length - 1];
+    throw templateError(source, unclosed.index, `bloco "{{#${unclosed.name}}}" não foi fechado`);
+  }
+
+  return root.children;
+}
+
+/**
+ * Interpreta um operando de condição: texto entre aspas, número, true/false ou campo
+ * @param {string} text - Operando
+ * @returns {Object} Operando interpretado
+ */
+function parseOperand(text) {
+  const quoted = /^(["'])(.*)\1$/.exec(text);
+  if (quoted) {
+    return { literal: quoted[2] };
+  }
+  if (/^-?\d+(\.\d+)?$/.test(text)) {
+    return { literal: parseFloat(text) };
+  }
+  if (text === 'true' || text === 'false') {
+    return { literal: text === 'true' };
+  }
+  return { path: text };
+}
+
+/**
+ * Interpreta a condição de um bloco #if/#unless/#each
+ * @param {string} text - Condição
+ * @param {string} source - Texto do modelo (para mensagens de erro)
+ * @param {number} index - Posição da marcação
+ * @returns {Array<Array<Object>>} Condições agrupadas (grupos "or" de termos "and")
+ */
+function parseCondition(text, source, index) {
+  return text.split(/\s+or\s+/).map(group => group.split(/\s+and\s+/).map(term => {
+    const match = /^(.+?)\s*(==|!=|>=|<=|>|<)\s*(.+)$/.exec(term.trim());
+    if (!match) {
+      if (!term.trim()) {
+        throw templateError(source, index, `condição incompleta "${text}"`);
+      }
+      return { left: parseOperand(term.trim()) };
+    }
+    return { left: parseOperand(match[1]), operator: match[2], right: parseOperand(match[3]) };
+  }));
+}
+
+/**
+ * Compila o modelo, validando a sintaxe
+ * @param {string} source - Texto do modelo
+ * @returns {Array<Object>} Nós do modelo
+ */
+function compileTemplate(source) {
+  const normalized = String(source || '').replace(/\r\n/g, '\n');
+  const tokens = tokenize(normalized);
+  stripStandaloneTags(tokens);
+  return buildTree(normalized, tokens);
+}
+
+/**
+ * Verifica se um valor é considerado vazio (falso) nas condições
+ * Textos numéricos zerados ("0", "0.00") são vazios, como os totais do WooCommerce
+ * @param {*} value - Valor
+ * @returns {boolean} True se vazio
+ */
+function isEmpty(value) {
+  if (value === undefined || value === null || value === false || value === '') {
+    return true;
+  }
+  if (Array.isArray(value)) {
+    return value.length === 0;
+  }
+  if (typeof value === 'object') {
+    return Object.keys(value).length === 0;
+  }
+  if (typeof value === 'number' || /^\s*-?\d+(\.\d+)?\s*$/.test(value)) {
+    return parseFloat(value) === 0;
+  }
+  return false;
+}
+
+/**
+ * Procura um campo nos escopos, do mais interno (item do #each) ao pedido
+ * @param {Array<Object>} scopes - Escopos de dados
+ * @param {string} path - Caminho com pontos (ex: billing.city, this, @number)
+ * @returns {*} Valor encontrado ou undefined
+ */
+function lookup(scopes, path) {
+  const [first, ...rest] = path.split('.');
+
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    let value;
+
+    if (first === 'this') {
+      value = scope.data;
+    } else if (first.startsWith('@')) {
+      value = scope.meta ? scope.meta[first.substring(1)] : undefined;
+    } else if (scope.data !== null && typeof scope.data === 'object') {
+      value = scope.data[first];
+    }
+
+    if (value === undefined) {
+      continue;
+    }
+
+    for (const key of rest) {
+      value = value !== null && value !== undefined ? value[key] : undefined;
+    }
+    return value;
+  }
+
+  return undefined;
+}
+
+/**
+ * Avalia uma condição no escopo atual
+ * @param {Array<Array<Object>>} condition - Condição interpretada
+ * @param {Array<Object>} scopes - Escopos de dados
+ * @returns {boolean} Resultado
+ */
+function evaluateCondition(condition, scopes) {
+  const resolve = (operand) => ('literal' in operand ? operand.literal : lookup(scopes, operand.path));
+
+  return condition.some(group => group.every(term => {
+    const left = resolve(term.left);
+    if (!term.operator) {
+      return !isEmpty(left);
+    }
+
+    const right = resolve(term.right);
+    const leftNumber = parseFloat(left);
+    const rightNumber = parseFloat(right);
+    const numeric = !isNaN(leftNumber) && !isNaN(rightNumber);
+    const a = numeric ? leftNumber : String(left === undefined || left === null ? '' : left);
+    const b = numeric ? rightNumber : String(right === undefined || right === null ? '' : right);
+
+    switch (term.operator) {
+      case '==': return a === b;
+      case '!=': return a !== b;
+      case '>': return a > b;
+      case '<': return a < b;
+      case '>=': return a >= b;
+      case '<=': return a <= b;
+      default: return false;
+    }
+  }));
+}
+
+/**
+ * Converte um valor de campo em texto para o recibo
+ * @param {*} value - Valor
+ * @returns {string} Texto sem os delimitadores internos
+ */
+function stringify(value) {
+  if (value === undefined || value === null || typeof value === 'object' && !Array.isArray(value)) {
+    return '';
+  }
+  const text = Array.isArray(value) ? value.filter(v => typeof v !== 'object').join(', ') : String(value);
+  return text.replace(/[\u0001\u0002]/g, '');
+}
+
+/**
+ * Gera o texto intermediário do modelo, com os comandos de formatação marcados
+ * @param {Array<Object>} nodes - Nós do modelo
+ * @param {Array<Object>} scopes - Escopos de dados
+ * @param {Object} filters - Filtros disponíveis
+ * @returns {string} Texto intermediário
+ */
+function renderNodes(nodes, scopes, filters) {
+  let output = '';
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+      case 'directive': {
+        const [name, ...args] = node.value.split(' ');
+
+        // Símbolos levam o valor do campo já resolvido no escopo atual
+        if (SYMBOLS[name]) {
+          const operand = parseOperand(args.join(' ') || SYMBOLS[name]);
+          const value = 'literal' in operand ? operand.literal : lookup(scopes, operand.path);
+          output += `${MARK_OPEN}${name} ${stringify(value).replace(/\s+/g, ' ').trim()}${MARK_CLOSE}`;
+        } else {
+          output += `${MARK_OPEN}${node.value}${MARK_CLOSE}`;
+        }
+        break;
+      }
+      case 'variable': {
+        let value = lookup(scopes, node.path);
+        for (const filter of node.filters) {
+          if (!filters[filter.name]) {
+            throw new Error(`Modelo do recibo: filtro desconhecido "${filter.name}"`);
+          }
+          value = filters[filter.name](value === undefined || value === null ? '' : value, ...filter.args);
+        }
+        output += stringify(value);
+        break;
+      }
+      case 'section':
+        output += renderSection(node, scopes, filters);
+        break;
+      default:
+        break;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Gera o texto de um bloco #each, #if, #unless ou #join
+ * @param {Object} node - Nó do bloco
+ * @param {Array<Object>} scopes - Escopos de dados
+ * @param {Object} filters - Filtros disponíveis
+ * @returns {string} Texto intermediário
+ */
+function renderSection(node, scopes, filters) {
+  switch (node.name) {
+    case 'each': {
+      const list = lookup(scopes, node.args.trim());
+      if (!Array.isArray(list) || list.length === 0) {
+        return renderNodes(node.alternate, scopes, filters);
+      }
+
+      return list.map((item, index) => renderNodes(node.children, [
+        ...scopes,
+        { data: item, meta: { index, number: index + 1, first: index === 0, last: index === list.length - 1 } }
+      ], filters)).join('');
+    }
+    case 'if':
+    case 'unless': {
+      const result = evaluateCondition(parseCondition(node.args), scopes);
+      const branch = (node.name === 'if') === result ? node.children : node.alternate;
+      return renderNodes(branch, scopes, filters);
+    }
+    case 'join': {
+      const [separator] = splitArgs(node.args);
+      const parts = renderNodes(node.children, scopes, filters)
+        .split('\n')
+        .map(part => part.trim())
+        .filter(part => part !== '');
+
+      if (parts.length === 0) {
+        return '';
+      }
+      return parts.join(separator) + (node.standalone ? '\n' : '');
+    }
+    default:
+      return '';
+  }
+}
+
+/**
+ * Converte uma linha do texto intermediário em blocos do recibo
+ * Linhas maiores que a largura são quebradas em palavras, com recuo nas continuações
+ * @param {string} line - Linha com comandos marcados
+ * @param {number} width - Largura em caracteres
+ * @returns {Array<Object>} Blocos do recibo
+ */
+function lineToBlocks(line, width) {
+  const style = { align: 'left', bold: false, size: 'normal', invert: false };
+  let aligned = false;
+  const parts = line.split(new RegExp(`${MARK_OPEN}([^${MARK_CLOSE}]*)${MARK_CLOSE}`));
+  const segments = [''];
+  const fills = [];
+  let command = null;
+  let hang = null;
+
+  // Partes pares são texto; ímpares são comandos de formatação
+  parts.forEach((part, index) => {
+    if (index % 2 === 0) {
+      segments[segments.length - 1] += part;
+      return;
+    }
+
+    const [name, arg] = part.split(' ');
+
+    if (STYLE_WORDS.includes(name)) {
+      for (const word of part.split(' ')) {
+        if (word === 'bold') {
+          style.bold = true;
+        } else if (word === 'double') {
+          style.size = 'double';
+        } else if (word === 'invert') {
+          style.invert = true;
+        } else if (STYLE_WORDS.includes(word)) {
+          style.align = word;
+          aligned = true;
+        }
+      }
+    } else if (name === 'line' || name === 'feed') {
+      command = { name, arg };
+    } else if (SYMBOLS[name]) {
+      command = { name, arg: part.substring(name.length + 1) };
+    } else if (name === 'hang') {
+      hang = segments.join('').length;
+    } else {
+      fills.push(arg ? arg.charAt(0) : ' ');
+      segments.push('');
+    }
+  });
+
+  const plain = segments.join('');
+
+  if (command && plain.trim() === '') {
+    if (command.name === 'line') {
+      return [{ type: 'separator', char: command.arg ? command.arg.charAt(0) : '-' }];
+    }
+    if (command.name === 'feed') {
+      return [{ type: 'feed', lines: parseInt(command.arg) || 1 }];
+    }
+
+    // Símbolo sem valor (ex: URL da loja não configurada) não é impresso
+    if (!command.arg) {
+      return [];
+    }
+    return [{ type: command.name, data: command.arg, align: aligned ? style.align : 'center' }];
+  }
+
+  // Continuações alinham no {{hang}} ou recuam 2 espaços além do recuo da linha; centralizado/direita não recuam
+  let indent = hang !== null ? hang : /^ */.exec(plain)[0].length + 2;
+  if (style.align !== 'left') {
+    indent = 0;
+  }
+
+  const lines = fills.length > 0
+    ? alignColumns(segments, fills, width, indent)
+    : wrapText(plain, width, indent);
+
+  return lines.map(text => ({ type: 'text', text, ...style }));
+}
+
+/**
+ * Gera o recibo estruturado a partir de um modelo
+ * @param {string} source - Texto do modelo
+ * @param {Object} data - Dados disponíveis no modelo (pedido e campos calculados)
+ * @param {Object} options - Opções de renderização
+ * @param {number} options.width - Largura em caracteres
+ * @param {Object} options.filters - Filtros adicionais
+ * @returns {{width: number, blocks: Array}} Recibo estruturado
+ */
+function renderTemplate(source, data, options = {}) {
+  const width = parseInt(options.width) || 48;
+  const filters = { ...BASE_FILTERS, ...(options.filters || {}) };
+  const nodes = compileTemplate(source);
+
+  const output = renderNodes(nodes, [{ data }], filters);
+  const lines = output.split('\n');
+
+  // A quebra de linha final do modelo não gera uma linha em branco
+  if (lines.length > 0 && lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+
+  return { width, blocks: lines.flatMap(line => lineToBlocks(line, width)) };
+}
+
+module.exports = {
+  compileTemplate,
+  renderTemplate
+};
@@ -116,9 +116,10 @@ async function checkInternetConnection() {
  * Salva um log do pedido para histórico
  * @param {Object} order - Dados do pedido
  * @param {string} printStatus - Status da impressão (success, failed, pending)
+ * @param {Object} details - Campos adicionais do log (ex: print_printers, impressoras usadas em cada via)
  * @returns {boolean} Sucesso da operação
  */
-function saveOrderLog(order, printStatus = 'success') {
+function saveOrderLog(order, printStatus = 'success', details = {}) {
   try {
     // Garante que o diretório de logs existe
     const logDir = path.join(process.cwd(), 'logs', 'orders');
@@ -132,6 +133,7 @@ function saveOrderLog(order, printStatus = 'success') {
     // Adiciona timestamp da impressão e status
     const orderWithTimestamp = {
       ...order,
+      ...details,
       printed_at: now.toISOString(),
       print_status: printStatus
     };
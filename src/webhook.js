@@ -0,0 +1,207 @@
+/**
+ * Receptor de webhooks do WooCommerce (order.created e order.updated)
+ *
+ * Servidor HTTP embutido que recebe os pedidos assim que são criados ou alterados, sem esperar a próxima
+ * consulta periódica. No WooCommerce (Configurações > Avançado > Webhooks) cada webhook aponta para
+ * http://<endereço deste computador>:<porta>/webhook, com o mesmo segredo configurado no aplicativo.
+ *
+ * Cada entrega traz no cabeçalho X-WC-Webhook-Signature o HMAC-SHA256 do corpo com o segredo, em base64;
+ * entregas sem assinatura válida são recusadas.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { log } = require('./log');
+
+const DEFAULT_WEBHOOK_PORT = 8787;
+const WEBHOOK_PATH = '/webhook';
+
+// Tópicos que trazem pedidos; os demais são aceitos (para o WooCommerce não desativar o webhook) e ignorados
+const ORDER_TOPICS = ['order.created', 'order.updated'];
+
+// Limite do corpo da requisição, para não acumular memória com requisições indevidas
+const MAX_BODY_SIZE = 5 * 1024 * 1024;
+
+let server = null;
+
+/**
+ * Verifica a assinatura de uma entrega do WooCommerce
+ * @param {Buffer} body - Corpo da requisição, exatamente como recebido
+ * @param {string} signature - Cabeçalho X-WC-Webhook-Signature
+ * @param {string} secret - Segredo configurado no webhook
+ * @returns {boolean} True se a assinatura confere
+ */
+function verifyWebhookSignature(body, signature, secret) {
+  if (!signature || !secret) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(body).digest();
+  const received = Buffer.from(String(signature), 'base64');
+
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Lê o corpo da requisição
+ * @param {http.IncomingMessage} req - Requisição
+ * @returns {Promise<Buffer>} Corpo recebido
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(new Error('Corpo da requisição muito grande'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Envia a resposta da requisição
+ * @param {http.ServerResponse} res - Resposta
+ * @param {number} status - Código HTTP
+ * @param {string} message - Texto da resposta
+ */
+function reply(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(message);
+}
+
+/**
+ * Trata uma entrega do WooCommerce
+ * @param {http.IncomingMessage} req - Requisição
+ * @param {http.ServerResponse} res - Resposta
+ * @param {string} secret - Segredo do webhook
+ * @param {Function} onOrder - Recebe (order, topic) de cada pedido verificado
+ */
+async function handleRequest(req, res, secret, onOrder) {
+  if (req.url.split('?')[0] !== WEBHOOK_PATH) {
+    reply(res, 404, 'Não encontrado');
+    return;
+  }
+  if (req.method !== 'POST') {
+    reply(res, 405, 'Use POST');
+    return;
+  }
+
+  let body;
+  try {
+    body = await readBody(req);
+  } catch (error) {
+    log(`Webhook: ${error.message}`);
+    reply(res, 413, error.message);
+    return;
+  }
+
+  // Ao salvar o webhook, o WooCommerce envia "webhook_id=N" sem assinatura e só ativa a entrega se receber 2xx
+  if (/^webhook_id=\d+$/.test(body.toString('utf8').trim())) {
+    log(`Webhook: teste de entrega recebido (${body.toString('utf8').trim()})`);
+    reply(res, 200, 'OK');
+    return;
+  }
+
+  if (!verifyWebhookSignature(body, req.headers['x-wc-webhook-signature'], secret)) {
+    log(`Webhook: assinatura inválida recebida de ${req.socket.remoteAddress}`);
+    reply(res, 401, 'Assinatura inválida');
+    return;
+  }
+
+  const topic = req.headers['x-wc-webhook-topic'] || '';
+  if (!ORDER_TOPICS.includes(topic)) {
+    reply(res, 200, 'Tópico ignorado');
+    return;
+  }
+
+  let order;
+  try {
+    order = JSON.parse(body.toString('utf8'));
+  } catch (error) {
+    log(`Webhook: corpo inválido no tópico ${topic}: ${error.message}`);
+    reply(res, 400, 'JSON inválido');
+    return;
+  }
+
+  if (!order || !order.id) {
+    reply(res, 400, 'Pedido sem ID');
+    return;
+  }
+
+  // Responde antes de processar: o WooCommerce espera a resposta por poucos segundos
+  reply(res, 200, 'OK');
+  log(`Webhook: ${topic} do pedido #${order.id}`);
+
+  try {
+    await onOrder(order, topic);
+  } catch (error) {
+    log(`Webhook: erro ao processar o pedido #${order.id}: ${error.message}`);
+  }
+}
+
+/**
+ * Inicia o servidor de webhooks
+ * @param {Object} options - Opções ({port, secret})
+ * @param {Function} onOrder - Recebe (order, topic) de cada pedido com assinatura válida
+ * @returns {Promise<number>} Porta em que o servidor está ouvindo
+ */
+function startWebhookServer(options, onOrder) {
+  const secret = String(options.secret || '');
+  const port = parseInt(options.port) || DEFAULT_WEBHOOK_PORT;
+
+  return new Promise((resolve, reject) => {
+    if (!secret) {
+      reject(new Error('Informe o segredo do webhook'));
+      return;
+    }
+
+    stopWebhookServer();
+
+    const newServer = http.createServer((req, res) => {
+      handleRequest(req, res, secret, onOrder).catch(error => {
+        log(`Webhook: erro inesperado: ${error.message}`);
+        if (!res.headersSent) {
+          reply(res, 500, 'Erro interno');
+        }
+      });
+    });
+
+    newServer.once('error', error => {
+      reject(new Error(error.code === 'EADDRINUSE'
+        ? `A porta ${port} do webhook já está em uso`
+        : `Não foi possível iniciar o webhook na porta ${port}: ${error.message}`));
+    });
+
+    newServer.listen(port, () => {
+      server = newServer;
+      log(`Webhook do WooCommerce ouvindo em http://0.0.0.0:${port}${WEBHOOK_PATH}`);
+      resolve(port);
+    });
+  });
+}
+
+/**
+ * Para o servidor de webhooks
+ */
+function stopWebhookServer() {
+  if (server) {
+    server.close();
+    server = null;
+    log('Webhook do WooCommerce parado');
+  }
+}
+
+module.exports = {
+  DEFAULT_WEBHOOK_PORT,
+  verifyWebhookSignature,
+  startWebhookServer,
+  stopWebhookServer
+};